@@ -1,5 +1,5 @@
 import { createOrbitDB } from '@orbitdb/core'
-import SimpleEncryption from '../src/index.js'
+import SimpleEncryption, { FieldEncryption } from '../src/index.js'
 // import { createOrbitDB, MemoryStorage } from '../src/index.js'
 import { rimraf as rmrf } from 'rimraf'
 import createHelia from '../test/utils/create-helia.js'
@@ -7,6 +7,44 @@ import createHelia from '../test/utils/create-helia.js'
 import { EventEmitter } from 'events'
 EventEmitter.defaultMaxListeners = 10000
 
+// Counts the bytes of the plaintexts and ciphertexts of an encryption
+const countBytes = (encryption) => {
+  const counter = { plaintextBytes: 0, bytes: 0 }
+  counter.encryption = {
+    ...encryption,
+    encrypt: async (data, options) => {
+      const encrypted = await encryption.encrypt(data, options)
+      counter.plaintextBytes += data.length
+      counter.bytes += encrypted.length
+      return encrypted
+    }
+  }
+  return counter
+}
+
+// Verbose JSON like the documents of an application
+const createDocument = (i) => ({
+  _id: i.toString(),
+  type: 'invoice',
+  invoice: {
+    status: i % 2 === 0 ? 'paid' : 'open',
+    message: 'hello ' + i,
+    customer: {
+      name: 'Example Customer ' + (i % 10),
+      email: `customer-${i % 10}@example.com`,
+      address: { street: 'Main Street ' + (i % 100), city: 'Springfield', country: 'Example Country' }
+    },
+    items: Array.from({ length: 10 }, (_, j) => ({
+      description: `Consulting services, item ${j}`,
+      quantity: j + 1,
+      unitPrice: 100,
+      currency: 'EUR',
+      taxRate: 0.2
+    })),
+    createdAt: new Date(1700000000000 + i * 1000).toISOString()
+  }
+})
+
 ;(async () => {
   console.log('Starting benchmark...')
 
@@ -18,49 +56,56 @@ EventEmitter.defaultMaxListeners = 10000
   const ipfs = await createHelia()
   const orbitdb = await createOrbitDB({ ipfs })
 
-  console.log(`Insert ${entryCount} documents`)
-
   // const entryStorage = await MemoryStorage()
   // const headsStorage = await MemoryStorage()
   // const indexStorage = await MemoryStorage()
 
   // const db1 = await orbitdb.open('benchmark-documents', { type: 'documents', referencesCount: 16, entryStorage, headsStorage, indexStorage })
 
-  const replicationEncryption = await SimpleEncryption({ password: 'hello' })
-  const dataEncryption = await SimpleEncryption({ password: 'world' })
+  const run = async (name, options) => {
+    console.log(`Insert ${entryCount} documents, ${name}`)
 
-  const db1 = await orbitdb.open('benchmark-documents', { type: 'documents', encryption: { replicationEncryption, dataEncryption } })
+    // Documents databases don't pass the encryption option on to the
+    // database, so the body of every document is encrypted as a field
+    const data = countBytes(await SimpleEncryption({ password: 'world', ...options }))
+    const fields = FieldEncryption({ encryption: data.encryption, fields: ['invoice'] })
 
-  const startTime1 = new Date().getTime()
+    const db1 = fields.wrap(await orbitdb.open(`benchmark-documents-${name}`, { type: 'documents' }))
 
-  for (let i = 0; i < entryCount; i++) {
-    const doc = { _id: i.toString(), message: 'hello ' + i }
-    await db1.put(doc)
-  }
+    const startTime1 = new Date().getTime()
 
-  const endTime1 = new Date().getTime()
-  const duration1 = endTime1 - startTime1
-  const operationsPerSecond1 = Math.floor(entryCount / (duration1 / 1000))
-  const millisecondsPerOp1 = duration1 / entryCount
-  console.log(`Inserting ${entryCount} documents took ${duration1} ms, ${operationsPerSecond1} ops/s, ${millisecondsPerOp1} ms/op`)
+    for (let i = 0; i < entryCount; i++) {
+      await db1.put(createDocument(i))
+    }
 
-  console.log(`Query ${entryCount} documents`)
-  const startTime2 = new Date().getTime()
+    const endTime1 = new Date().getTime()
+    const duration1 = endTime1 - startTime1
+    const operationsPerSecond1 = Math.floor(entryCount / (duration1 / 1000))
+    const millisecondsPerOp1 = duration1 / entryCount
+    console.log(`Inserting ${entryCount} documents took ${duration1} ms, ${operationsPerSecond1} ops/s, ${millisecondsPerOp1} ms/op`)
+    console.log(`Encrypted ${data.plaintextBytes} bytes to ${data.bytes} bytes, ${Math.round(data.bytes / entryCount)} bytes/op`)
 
-  const all = []
-  for await (const { key, value } of db1.iterator()) {
-    all.unshift({ key, value })
-  }
+    console.log(`Query ${entryCount} documents, ${name}`)
+    const startTime2 = new Date().getTime()
+
+    const all = []
+    for await (const { key, value } of db1.iterator()) {
+      all.unshift({ key, value })
+    }
 
-  const endTime2 = new Date().getTime()
-  const duration2 = endTime2 - startTime2
-  const operationsPerSecond2 = Math.floor(entryCount / (duration2 / 1000))
-  const millisecondsPerOp2 = duration2 / entryCount
+    const endTime2 = new Date().getTime()
+    const duration2 = endTime2 - startTime2
+    const operationsPerSecond2 = Math.floor(entryCount / (duration2 / 1000))
+    const millisecondsPerOp2 = duration2 / entryCount
 
-  console.log(`Querying ${all.length} documents took ${duration2} ms, ${operationsPerSecond2} ops/s, ${millisecondsPerOp2} ms/op`)
+    console.log(`Querying ${all.length} documents took ${duration2} ms, ${operationsPerSecond2} ops/s, ${millisecondsPerOp2} ms/op`)
+
+    await db1.drop()
+    await db1.close()
+  }
 
-  await db1.drop()
-  await db1.close()
+  await run('uncompressed', {})
+  await run('compressed', { compression: { name: 'deflate' } })
 
   await orbitdb.stop()
   await ipfs.stop()
@@ -1,5 +1,5 @@
 import { createOrbitDB, KeyValueIndexed } from '@orbitdb/core'
-import SimpleEncryption from '../src/index.js'
+import SimpleEncryption, { DeterministicEncryption } from '../src/index.js'
 import { rimraf as rmrf } from 'rimraf'
 import createHelia from '../test/utils/create-helia.js'
 
@@ -21,13 +21,15 @@ EventEmitter.defaultMaxListeners = 10000
 
   const replicationEncryption = await SimpleEncryption({ password: 'hello' })
   const dataEncryption = await SimpleEncryption({ password: 'world' })
+  // Keys are encrypted deterministically, so that they can be looked up
+  const keyEncryption = await DeterministicEncryption({ password: 'keys', salt: 'benchmark-keyvalue-indexed' })
 
-  const db1 = await orbitdb.open('benchmark-keyvalue-indexed', { Database: KeyValueIndexed(), encryption: { replicationEncryption, dataEncryption } })
+  const db1 = await orbitdb.open('benchmark-keyvalue-indexed', { Database: KeyValueIndexed(), encryption: { replication: replicationEncryption, data: dataEncryption } })
 
   const startTime1 = new Date().getTime()
 
   for (let i = 0; i < entryCount; i++) {
-    await db1.set(i.toString(), 'hello' + i)
+    await db1.set(await keyEncryption.encryptString(i.toString()), 'hello' + i)
   }
 
   const endTime1 = new Date().getTime()
@@ -41,7 +43,7 @@ EventEmitter.defaultMaxListeners = 10000
 
   const all = []
   for await (const { key, value } of db1.iterator()) {
-    all.unshift({ key, value })
+    all.unshift({ key: await keyEncryption.decryptString(key), value })
   }
 
   const endTime2 = new Date().getTime()
@@ -8,10 +8,23 @@ import SimpleEncryption from '../src/index.js'
 import { EventEmitter } from 'events'
 EventEmitter.defaultMaxListeners = 10000
 
+// Simulates a log written by several peers: every peer encrypts with a key
+// derived from its own salt, so readers need one key per writer
+const MultiWriterEncryption = async (password, writerCount) => {
+  const writers = await Promise.all(Array.from({ length: writerCount }, () => SimpleEncryption({ password })))
+  const reader = await SimpleEncryption({ password })
+  let i = 0
+  return {
+    encrypt: (value) => writers[i++ % writerCount].encrypt(value),
+    decrypt: reader.decrypt
+  }
+}
+
 ;(async () => {
   console.log('Starting benchmark...')
 
   const entryCount = 1000
+  const writerCount = 4
 
   await rmrf('./orbitdb1')
   await rmrf('./orbitdb2')
@@ -23,12 +36,14 @@ EventEmitter.defaultMaxListeners = 10000
 
   await connectPeers(ipfs1, ipfs2)
 
-  console.log(`Add ${entryCount} events`)
+  console.log(`Add ${entryCount} events written by ${writerCount} writers`)
 
-  const replicationEncryption = await SimpleEncryption({ password: 'hello' })
-  const dataEncryption = await SimpleEncryption({ password: 'world' })
+  const encryption1 = {
+    replication: await MultiWriterEncryption('hello', writerCount),
+    data: await MultiWriterEncryption('world', writerCount)
+  }
 
-  const db1 = await orbitdb1.open('benchmark-replication', { type: 'events', encryption: { replicationEncryption, dataEncryption } })
+  const db1 = await orbitdb1.open('benchmark-replication', { type: 'events', encryption: encryption1 })
 
   const startTime1 = new Date().getTime()
 
@@ -42,31 +57,48 @@ EventEmitter.defaultMaxListeners = 10000
   const millisecondsPerOp1 = duration1 / entryCount
   console.log(`Adding ${entryCount} events took ${duration1} ms, ${operationsPerSecond1} ops/s, ${millisecondsPerOp1} ms/op`)
 
-  const db2 = await orbitdb2.open(db1.address, { encryption: { replicationEncryption, dataEncryption } })
+  // A cache of one key is what earlier versions did
+  for (const keyCacheSize of [1, 64]) {
+    const encryption2 = {
+      replication: await SimpleEncryption({ password: 'hello', keyCacheSize }),
+      data: await SimpleEncryption({ password: 'world', keyCacheSize })
+    }
+
+    const startTime2 = new Date().getTime()
 
-  const startTime2 = new Date().getTime()
+    const db2 = await orbitdb2.open(db1.address, { encryption: encryption2 })
 
-  let connected = false
+    let updated = false
 
-  const onJoin = async (peerId) => (connected = true)
-  const onError = async (err) => console.error(err)
+    const onUpdate = async () => (updated = true)
+    const onError = async (err) => console.error(err)
 
-  db2.events.on('join', onJoin)
-  db2.events.on('error', onError)
+    db2.events.on('update', onUpdate)
+    db2.events.on('error', onError)
 
-  await waitFor(() => connected, () => true)
+    await waitFor(() => updated, () => true)
 
-  const endTime2 = new Date().getTime()
-  const duration2 = endTime2 - startTime2
-  const operationsPerSecond2 = Math.floor(entryCount / (duration2 / 1000))
-  const millisecondsPerOp2 = duration2 / entryCount
+    const endTime2 = new Date().getTime()
+    const duration2 = endTime2 - startTime2
+    const operationsPerSecond2 = Math.floor(entryCount / (duration2 / 1000))
+    const millisecondsPerOp2 = duration2 / entryCount
 
-  console.log(`Replicating ${entryCount} events took ${duration2} ms, ${operationsPerSecond2} ops/s, ${millisecondsPerOp2} ms/op`)
+    console.log(`Key cache size ${keyCacheSize}: replicating ${entryCount} events took ${duration2} ms, ${operationsPerSecond2} ops/s, ${millisecondsPerOp2} ms/op`)
+
+    const startTime3 = new Date().getTime()
+    const all = await db2.all()
+    const endTime3 = new Date().getTime()
+    const duration3 = endTime3 - startTime3
+
+    const { hits, misses } = encryption2.data.keyCache.stats()
+    console.log(`Key cache size ${keyCacheSize}: reading ${all.length} events took ${duration3} ms, data key cache ${hits} hits, ${misses} misses`)
+
+    await db2.drop()
+    await db2.close()
+  }
 
   await db1.drop()
   await db1.close()
-  await db2.drop()
-  await db2.close()
 
   await orbitdb1.stop()
   await orbitdb2.stop()
@@ -1,4 +1,4 @@
-import glob from 'glob'
+import { glob } from 'glob'
 import path from 'path'
 import webpack from 'webpack'
 import { fileURLToPath } from 'url'
@@ -10,7 +10,7 @@ export default (env, argv) => {
   const __dirname = path.dirname(__filename)
 
   return {
-    entry: glob.sync('./test/**/*.js', { ignore: ['./test/utils/relay.js'] }),
+    entry: glob.sync('./test/**/*.js', { ignore: ['./test/utils/relay.js'], dotRelative: true }),
     output: {
       filename: '../test/browser/bundle.js'
     },
@@ -40,7 +40,9 @@ export default (env, argv) => {
         path: require.resolve('path-browserify'),
         crypto: false,
         stream: require.resolve('stream-browserify'),
-        process: false
+        process: false,
+        module: false,
+        worker_threads: false
       }
     },
     resolveLoader: {
@@ -0,0 +1,111 @@
+/**
+ * @description
+ * AES-GCM encryption with a key that is managed by the application, eg. by
+ * a KMS or a keystore, instead of being derived from a password.
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { KDFs, Flags, hasHeader, encodeHeader, decodeHeader } from './format.js'
+import { algorithmIds, keyLengths, authenticationFailed, decodePlaintext } from './aes-gcm-pbkdf2.js'
+import { NonceSequence } from './nonce.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, AuthenticationFailedError, WrongKeyError } from './errors.js'
+
+export const isCryptoKey = (key) => key?.type === 'secret' && typeof key.algorithm === 'object' && key.usages != null
+
+/**
+ * Imports a raw key, a JWK or a CryptoKey for use with AES-GCM.
+ * Raw keys and JWKs are imported as non-extractable keys.
+ *
+ * @param {Uint8Array|Object|CryptoKey} key 16 or 32 raw bytes, an `oct` JWK
+ * or an AES-GCM CryptoKey
+ * @returns {Promise<CryptoKey>}
+ */
+export const importKey = async (key) => {
+  const crypto = getCrypto()
+  const usages = ['encrypt', 'decrypt']
+
+  if (isCryptoKey(key)) {
+    if (key.algorithm.name !== 'AES-GCM' || !algorithmIds[key.algorithm.length]) {
+      throw new InvalidInputError('key must be a 128 or 256-bit AES-GCM CryptoKey')
+    }
+    return key
+  }
+  if (key?.subarray) {
+    if (key.length !== 16 && key.length !== 32) {
+      throw new InvalidInputError('key must be 16 or 32 bytes long')
+    }
+    return await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, usages)
+  }
+  if (key?.kty === 'oct') {
+    return await crypto.subtle.importKey('jwk', key, { name: 'AES-GCM' }, false, usages)
+  }
+  throw new InvalidInputError('key must be a CryptoKey, a JWK or a TypedArray')
+}
+
+/**
+ * @param {Object} options
+ * @param {CryptoKey} options.key An AES-GCM key, see `importKey`
+ * @param {Uint8Array} [options.keyId] Id recorded in the header of every ciphertext
+ */
+export function AESKey ({ key, keyId }) {
+  const algorithm = 'AES-GCM'
+  const nonceLength = 12
+  const crypto = getCrypto()
+
+  const ivInterval = 32000 // NIST recommends max 2^32
+  const algorithmId = algorithmIds[key.algorithm.length]
+
+  let nonces
+
+  /**
+   * Encrypts the data with the key. Every call uses a fresh nonce. The
+   * header and the optional `associatedData` are authenticated along with
+   * the data. Data that was padded or compressed is marked with the
+   * `padding` scheme and the `compression` format in the header.
+   */
+  const encrypt = async (data, { associatedData = new Uint8Array(0), padding, compression } = {}) => {
+    if (!nonces || nonces.exhausted) {
+      nonces = NonceSequence({ interval: ivInterval, length: nonceLength })
+    }
+    const nonce = nonces.next()
+    const header = encodeHeader({ algorithm: algorithmId, kdf: KDFs.NONE, nonce, keyId, padding, compression })
+    const aesGcm = { name: algorithm, iv: nonce, additionalData: concat([header, associatedData]) }
+    const ciphertext = await crypto.subtle.encrypt(aesGcm, key, data)
+    return concat([header, new Uint8Array(ciphertext)])
+  }
+
+  /**
+   * Decrypts data that was encrypted with the key. The `associatedData` has
+   * to be the same the data was encrypted with.
+   */
+  const decrypt = async (data, { associatedData = new Uint8Array(0) } = {}) => {
+    if (!hasHeader(data)) {
+      throw new WrongKeyError('Ciphertext was not encrypted with a key')
+    }
+    const { header, flags, algorithm: algorithmId, kdf, nonce, padding, compression, ciphertext } = decodeHeader(data)
+    if (flags & Flags.DETERMINISTIC) {
+      throw new WrongKeyError('Ciphertext was encrypted deterministically')
+    }
+    if (kdf !== KDFs.NONE) {
+      throw new WrongKeyError('Ciphertext was encrypted with a password, not a key')
+    }
+    if (keyLengths[algorithmId] !== key.algorithm.length) {
+      throw new WrongKeyError('Ciphertext was encrypted with a key of a different length')
+    }
+    const aesGcm = { name: algorithm, iv: nonce, additionalData: concat([header, associatedData]) }
+    let plaintext
+    try {
+      plaintext = new Uint8Array(await crypto.subtle.decrypt(aesGcm, key, ciphertext))
+    } catch (e) {
+      throw new AuthenticationFailedError(authenticationFailed, { cause: e })
+    }
+    return await decodePlaintext(plaintext, { padding, compression })
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    ivInterval
+  }
+}
@@ -8,18 +8,16 @@
   - https://github.com/mdn/dom-examples/blob/main/web-crypto/encrypt-decrypt/aes-gcm.js
 */
 
-import crypto from 'crypto'
 import { concat } from 'uint8arrays/concat'
 import { fromString } from 'uint8arrays/from-string'
-
-// Polyfill fix for browsers
-const getCrypto = () => {
-  if (typeof global.crypto !== 'undefined') {
-    return global.crypto
-  } else {
-    return crypto
-  }
-}
+import { Algorithms, KDFs, Flags, hasHeader, encodeHeader, decodeHeader, decodeLegacy } from './format.js'
+import { resolveKdf, decodeKdf } from './kdf.js'
+import { NonceSequence } from './nonce.js'
+import { KeyCache } from './key-cache.js'
+import { unpad } from './padding.js'
+import { decompress } from './compression.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, AuthenticationFailedError, WrongKeyError } from './errors.js'
 
 // WebKit on Linux does not support deriving a key from an empty PBKDF2 key.
 // So, as a workaround, we provide the generated key as a constant. We test that
@@ -35,46 +33,114 @@ export const derivedEmptyPasswordKey = { alg: 'A128GCM', ext: true, k: 'scm9jmO_
 
 // Based off of code from https://github.com/luke-park/SecureCompatibleEncryptionExamples
 
-export function AES () {
+export const algorithmIds = {
+  128: Algorithms.AES_128_GCM,
+  256: Algorithms.AES_256_GCM
+}
+
+export const keyLengths = {
+  [Algorithms.AES_128_GCM]: 128,
+  [Algorithms.AES_256_GCM]: 256
+}
+
+/**
+ * Removes the padding and the compression recorded in the header from a
+ * decrypted plaintext.
+ */
+export const decodePlaintext = async (plaintext, { padding, compression }) => {
+  if (padding != null) {
+    plaintext = unpad(plaintext)
+  }
+  if (compression != null) {
+    plaintext = await decompress(plaintext, compression)
+  }
+  return plaintext
+}
+
+export const authenticationFailed = 'Authentication failed, the data was encrypted with a different key or associated data, or has been tampered with'
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.keyLength=128] AES key length in bits, 128 or 256
+ * @param {Object} [options.kdf] Key derivation function and its parameters,
+ * eg. `{ name: 'pbkdf2', iterations: 600000 }`, `{ name: 'scrypt', N, r, p }`
+ * or `{ name: 'argon2id', memory, iterations, parallelism }`
+ * @param {Uint8Array} [options.keyId] Id recorded in the header of every ciphertext
+ * @param {number} [options.keyCacheSize=64] Maximum number of cached decryption keys
+ */
+export function AES ({ keyLength = 128, kdf: kdfOptions, keyId, keyCacheSize } = {}) {
   const algorithm = 'AES-GCM'
-  let keyLength = 16
   const nonceLength = 12
   const digest = 'SHA-256'
   const saltLength = 16
-  const iterations = 32767
+  const legacyIterations = 32767
   // const crypto = webcrypto.get();
   const crypto = getCrypto()
-  keyLength *= 8 // Browser crypto uses bits instead of bytes
 
-  const ivInterval = 32000 // NIST recommends max 2^32
+  if (!algorithmIds[keyLength]) {
+    throw new InvalidInputError('keyLength must be 128 or 256')
+  }
 
-  let salt
-  let nonce
-  let aesGcm
+  const { kdf, params } = resolveKdf(kdfOptions)
+  const kdfParams = kdf.encodeParams(params)
 
-  let encryptionKey
-  let decryptionKey
-  let decryptionNonce
+  const ivInterval = 32000 // NIST recommends max 2^32
 
-  const deriveEncryptionKey = async (password) => {
-    salt = crypto.getRandomValues(new Uint8Array(saltLength))
-    nonce = crypto.getRandomValues(new Uint8Array(nonceLength))
-    aesGcm = { name: algorithm, iv: nonce }
+  // Calls can run concurrently, eg. when OrbitDB appends and replicates in
+  // parallel, so the state is only ever replaced as a whole. The encryption
+  // state is a promise of `{ salt, key, nonces }` that concurrent calls share
+  // while the key is being derived. Decryption keys are cached by salt and
+  // key derivation parameters.
+  let encryptionState
+  const keyCache = KeyCache({ maxSize: keyCacheSize })
 
-    return await deriveKey('encrypt', password, salt)
+  const toBytes = (password) => typeof password === 'string' ? fromString(password) : password
+
+  const deriveEncryptionState = (password) => {
+    const salt = crypto.getRandomValues(new Uint8Array(saltLength))
+    const state = deriveKey('encrypt', toBytes(password), salt, kdf, params, keyLength)
+      .then(key => Object.freeze({ salt, key, nonces: NonceSequence({ interval: ivInterval, length: nonceLength }) }))
+    encryptionState = state
+    // Derive again on the next call if deriving the key failed
+    state.catch(() => {
+      if (encryptionState === state) {
+        encryptionState = undefined
+      }
+    })
+    return state
   }
 
-  const deriveDecryptionKey = async (password, salt) => {
-    return await deriveKey('decrypt', password, salt)
+  // Takes the next nonce of the current encryption key, deriving a new key
+  // when another call used up the last nonce while this one was waiting
+  const nextNonce = async (password) => {
+    for (;;) {
+      const pending = encryptionState || deriveEncryptionState(password)
+      const { salt, key, nonces } = await pending
+      if (!nonces.exhausted) {
+        return { salt, key, nonce: nonces.next() }
+      }
+      if (encryptionState === pending) {
+        deriveEncryptionState(password)
+      }
+    }
   }
 
-  const deriveKey = async (type, password, salt) => {
+  const deriveKey = async (type, password, salt, kdf, params, keyLength) => {
+    if (kdf.deriveBits) {
+      // Memory-hard functions are computed in JavaScript
+      const rawKey = await kdf.deriveBits(password, salt, params, keyLength)
+      return await crypto.subtle.importKey('raw', rawKey, { name: algorithm }, true, [type])
+    }
+    const { iterations } = params
     if (password.length === 0) {
       try {
         const deriveParams = { name: 'PBKDF2', salt, iterations, hash: { name: digest } }
         const runtimeDerivedEmptyPassword = await crypto.subtle.importKey('raw', password, { name: 'PBKDF2' }, false, ['deriveKey'])
         return await crypto.subtle.deriveKey(deriveParams, runtimeDerivedEmptyPassword, { name: algorithm, length: keyLength }, true, [type])
-      } catch {
+      } catch (e) {
+        if (iterations !== legacyIterations || keyLength !== 128) {
+          throw e
+        }
         return await crypto.subtle.importKey('jwk', derivedEmptyPasswordKey, { name: 'AES-GCM' }, true, [type])
       }
     } else {
@@ -86,49 +152,105 @@ export function AES () {
   }
 
   /**
-   * Uses the provided password to derive a pbkdf2 key. The key
-   * will then be used to encrypt the data.
+   * Uses the provided password to derive a key with the configured
+   * key derivation function. The key will then be used to encrypt the data.
+   * Every call uses a fresh nonce, the key itself is derived again every
+   * `ivInterval` messages. The header and the optional `associatedData` are
+   * authenticated along with the data. Data that was padded or compressed
+   * is marked with the `padding` scheme and the `compression` format in the
+   * header.
    */
-  const encrypt = async (data, password, count = 0) => {
-    if ((!encryptionKey || !nonce || !salt || !aesGcm) || (count !== 0 && count % ivInterval === 0)) {
+  const encrypt = async (data, password, count = 0, { associatedData = new Uint8Array(0), padding, compression } = {}) => {
+    if (count !== 0 && count % ivInterval === 0) {
       // Derive a new encryption key
-      if (typeof password === 'string') {
-        password = fromString(password)
-      }
-      encryptionKey = await deriveEncryptionKey(password)
+      deriveEncryptionState(password)
     }
+    const { salt, key, nonce } = await nextNonce(password)
+    const header = encodeHeader({
+      algorithm: algorithmIds[keyLength],
+      kdf: kdf.id,
+      kdfParams,
+      salt,
+      nonce,
+      keyId,
+      padding,
+      compression
+    })
+    const aesGcm = { name: algorithm, iv: nonce, additionalData: concat([header, associatedData]) }
     // Encrypt the data
-    const ciphertext = await crypto.subtle.encrypt(aesGcm, encryptionKey, data)
-    return concat([salt, aesGcm.iv, new Uint8Array(ciphertext)])
+    const ciphertext = await crypto.subtle.encrypt(aesGcm, key, data)
+    return concat([header, new Uint8Array(ciphertext)])
+  }
+
+  const decryptWith = async ({ salt, nonce, ciphertext, kdf, params, keyLength, additionalData }, password) => {
+    const aesGcm = additionalData.length > 0 ? { name: algorithm, iv: nonce, additionalData } : { name: algorithm, iv: nonce }
+    const id = `${keyLength}/${kdf.id}/${Object.values(params)}/${salt}`
+    const key = await keyCache.get(id, () => deriveKey('decrypt', toBytes(password), salt, kdf, params, keyLength))
+    // Decrypt the data
+    try {
+      const plaintext = await crypto.subtle.decrypt(aesGcm, key, ciphertext)
+      return new Uint8Array(plaintext)
+    } catch (e) {
+      throw new AuthenticationFailedError(authenticationFailed, { cause: e })
+    }
+  }
+
+  const decryptLegacy = async (data, password, associatedData) => {
+    const legacy = resolveKdf({ name: 'pbkdf2', iterations: legacyIterations })
+    return await decryptWith({ ...decodeLegacy(data), ...legacy, keyLength: 128, additionalData: associatedData }, password)
+  }
+
+  // The random salt of a legacy ciphertext can start with the magic bytes,
+  // so bytes that are not a header after all are given a try as a legacy
+  // ciphertext before throwing the header's error
+  const decryptLegacyOr = async (error, data, password, associatedData) => {
+    try {
+      return await decryptLegacy(data, password, associatedData)
+    } catch {
+      throw error
+    }
   }
 
   /**
-   * Uses the provided password to derive a pbkdf2 key. The key
-   * will then be used to decrypt the data. The options used to create
-   * this decryption cipher must be the same as those used to create
-   * the encryption cipher.
+   * Uses the provided password to derive a key. The key will then be used
+   * to decrypt the data. The cipher and key derivation parameters are read
+   * from the ciphertext header, ciphertexts without a header are decrypted
+   * with the parameters this library used before the header was introduced.
+   * The `associatedData` has to be the same the data was encrypted with.
    */
-  const decrypt = async (data, password) => {
-    const salt = data.subarray(0, saltLength)
-    const nonce = data.subarray(saltLength, saltLength + nonceLength)
-    const ciphertext = data.subarray(saltLength + nonceLength)
-    const aesGcm = { name: algorithm, iv: nonce }
-    if (!decryptionKey || nonce.toString() !== decryptionNonce?.toString()) {
-      // The nonce is different than our cached one, derive the decryption key
-      if (typeof password === 'string') {
-        password = fromString(password)
-      }
-      decryptionKey = await deriveDecryptionKey(password, salt)
-      decryptionNonce = nonce
+  const decrypt = async (data, password, { associatedData = new Uint8Array(0) } = {}) => {
+    if (!hasHeader(data)) {
+      return await decryptLegacy(data, password, associatedData)
     }
-    // Decrypt the data
-    const plaintext = await crypto.subtle.decrypt(aesGcm, decryptionKey, ciphertext)
-    return new Uint8Array(plaintext)
+    let decoded
+    try {
+      decoded = decodeHeader(data)
+    } catch (e) {
+      return await decryptLegacyOr(e, data, password, associatedData)
+    }
+    const { header, flags, algorithm, kdf: kdfId, kdfParams, salt, nonce, padding, compression, ciphertext } = decoded
+    if (flags & Flags.DETERMINISTIC) {
+      throw new WrongKeyError('Ciphertext was encrypted deterministically')
+    }
+    if (kdfId === KDFs.NONE) {
+      throw new WrongKeyError('Ciphertext was encrypted with a key, not a password')
+    }
+    let derivation
+    try {
+      derivation = decodeKdf(kdfId, kdfParams)
+    } catch (e) {
+      return await decryptLegacyOr(e, data, password, associatedData)
+    }
+    // The bytes are a header, so a failure to authenticate is final
+    const keyLength = keyLengths[algorithm]
+    const plaintext = await decryptWith({ salt, nonce, ciphertext, ...derivation, keyLength, additionalData: concat([header, associatedData]) }, password)
+    return await decodePlaintext(plaintext, { padding, compression })
   }
 
   return {
     encrypt,
     decrypt,
-    ivInterval
+    ivInterval,
+    keyCache
   }
 }
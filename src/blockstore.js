@@ -0,0 +1,76 @@
+/**
+ * @description
+ * A blockstore that encrypts blocks at rest.
+ *
+ * OrbitDB only encrypts what passes through its `encryption` options, so
+ * other blocks added to Helia, eg. files and manifests, are stored in
+ * plaintext. Wrapping Helia's blockstore encrypts the bytes of every block
+ * before they are written to the underlying blockstore and decrypts them
+ * when they are read. Blocks are still stored and exchanged under the CID of
+ * their plaintext, so other peers see the same blocks as before.
+ *
+ * Every block is bound to the multihash of its CID, so an encrypted block
+ * can't be swapped for another one in the underlying blockstore.
+ */
+
+/**
+ * Creates an encrypted blockstore.
+ *
+ * @param {Object} blockstore The blockstore the encrypted blocks are written
+ * to, eg. a LevelBlockstore
+ * @param {Object} encryption An encryption object, eg. SimpleEncryption
+ * @returns {Object} A blockstore implementing the interface-blockstore API
+ */
+const EncryptedBlockstore = (blockstore, encryption) => {
+  const encryptBlock = (cid, block) => encryption.encrypt(block, { associatedData: cid.multihash.bytes })
+
+  const decryptBlock = (cid, block) => encryption.decrypt(block, { associatedData: cid.multihash.bytes })
+
+  const has = (cid, options) => blockstore.has(cid, options)
+
+  const put = async (cid, block, options) => {
+    return blockstore.put(cid, await encryptBlock(cid, block), options)
+  }
+
+  const get = async (cid, options) => {
+    return decryptBlock(cid, await blockstore.get(cid, options))
+  }
+
+  const putMany = async function * (source, options) {
+    const encryptPairs = async function * () {
+      for await (const { cid, block } of source) {
+        yield { cid, block: await encryptBlock(cid, block) }
+      }
+    }
+    yield * blockstore.putMany(encryptPairs(), options)
+  }
+
+  const getMany = async function * (source, options) {
+    for await (const { cid, block } of blockstore.getMany(source, options)) {
+      yield { cid, block: await decryptBlock(cid, block) }
+    }
+  }
+
+  const getAll = async function * (options) {
+    for await (const { cid, block } of blockstore.getAll(options)) {
+      yield { cid, block: await decryptBlock(cid, block) }
+    }
+  }
+
+  const del = (cid, options) => blockstore.delete(cid, options)
+
+  const deleteMany = (source, options) => blockstore.deleteMany(source, options)
+
+  return {
+    has,
+    put,
+    get,
+    putMany,
+    getMany,
+    getAll,
+    delete: del,
+    deleteMany
+  }
+}
+
+export default EncryptedBlockstore
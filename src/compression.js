@@ -0,0 +1,83 @@
+/**
+ * @description
+ * Compression of values before they are encrypted, with the
+ * CompressionStream API of the browser or Node.js.
+ *
+ * Encrypted data doesn't compress, so values have to be compressed before
+ * they are encrypted. Decompressed values are limited in size, so that a
+ * small ciphertext can't expand into an unbounded amount of memory.
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { Compressions } from './format.js'
+import { InvalidInputError, UnsupportedFormatError } from './errors.js'
+
+const MAX_DECOMPRESSED_SIZE = 64 * 1024 * 1024
+
+const formats = {
+  deflate: Compressions.DEFLATE,
+  gzip: Compressions.GZIP
+}
+
+const formatNames = Object.fromEntries(Object.entries(formats).map(([name, id]) => [id, name]))
+
+const readAll = async (readable, maxSize) => {
+  const reader = readable.getReader()
+  const chunks = []
+  let size = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) {
+      return concat(chunks, size)
+    }
+    size += value.length
+    if (size > maxSize) {
+      await reader.cancel()
+      throw new UnsupportedFormatError('Decompressed value is too large')
+    }
+    chunks.push(value)
+  }
+}
+
+const transform = (data, stream) => new Blob([data]).stream().pipeThrough(stream)
+
+/**
+ * Resolves the `compression` option of SimpleEncryption.
+ *
+ * @param {Object} options
+ * @param {string} options.name deflate or gzip
+ * @returns {Object} The `id` of the format recorded in the header and a
+ * `compress` function
+ */
+export const resolveCompression = ({ name } = {}) => {
+  if (!Object.hasOwn(formats, name ?? '')) {
+    throw new InvalidInputError(`Unsupported compression ${name}`)
+  }
+  if (typeof CompressionStream === 'undefined') {
+    throw new InvalidInputError('Compression requires the CompressionStream API')
+  }
+
+  const compress = (data) => readAll(transform(data, new CompressionStream(name)), Infinity)
+
+  return {
+    id: formats[name],
+    compress
+  }
+}
+
+/**
+ * Decompresses a value compressed with the format of the given id.
+ */
+export const decompress = async (data, id) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new UnsupportedFormatError('Decompression requires the DecompressionStream API')
+  }
+  try {
+    return await readAll(transform(data, new DecompressionStream(formatNames[id])), MAX_DECOMPRESSED_SIZE)
+  } catch (e) {
+    if (e instanceof UnsupportedFormatError) {
+      throw e
+    }
+    throw new UnsupportedFormatError('Invalid compressed data', { cause: e })
+  }
+}
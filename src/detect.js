@@ -0,0 +1,355 @@
+/**
+ * @description
+ * Detects whether, and how, an OrbitDB database is encrypted.
+ *
+ * Detection inspects the raw blocks of the log heads: an entry encrypted for
+ * replication is stored as an opaque byte string instead of an entry, and an
+ * entry with an encrypted payload carries bytes instead of an operation.
+ * Databases created with `encryptionMeta` also record their encryption in the
+ * manifest, which makes empty databases detectable too.
+ *
+ * Passwords are verified by decrypting the check values recorded in the
+ * manifest or, if there are none, the raw blocks of the log heads.
+ */
+
+import * as dagCbor from '@ipld/dag-cbor'
+import { equals } from 'uint8arrays/equals'
+import { fromString } from 'uint8arrays/from-string'
+import { VERSION, hasHeader, decodeHeader } from './format.js'
+import { InvalidInputError } from './errors.js'
+
+const formatOf = (bytes) => {
+  if (hasHeader(bytes)) {
+    try {
+      return `simple-encryption/${decodeHeader(bytes).version}`
+    } catch (e) {
+      // Not a header after all, eg. a legacy ciphertext
+    }
+  }
+  return 'unknown'
+}
+
+const isBytes = (value) => value instanceof Uint8Array
+
+// The plaintext of the check values recorded by encryptionMeta
+const checkValue = fromString('orbitdb-simple-encryption/check')
+
+const tryDecrypt = async (encryption, bytes) => {
+  try {
+    return await encryption.decrypt(bytes)
+  } catch (e) {
+    return undefined
+  }
+}
+
+const isOpenedWithEncryption = (db) => db.log.encryption?.data != null || db.log.encryption?.replication != null
+
+// OrbitDB's path join, to find the storages of a database in its directory
+const pathJoin = (...paths) => paths.join('/').replace(/((?<=\/)\/+)|(^\.\/)|((?<=\/)\.\/)/g, '') || '.'
+
+// Creates the heads storage OrbitDB would create for the database at the
+// address, so that the heads can be read without decoding them
+const createHeadsStorage = async (orbitdb, address) => {
+  const { ComposedStorage, LRUStorage, LevelStorage, parseAddress } = await import('@orbitdb/core')
+  const directory = pathJoin(orbitdb.directory, `./${parseAddress(address)}/`)
+  return ComposedStorage(
+    await LRUStorage({ size: 1000 }),
+    await LevelStorage({ path: pathJoin(directory, '/log/_heads/') })
+  )
+}
+
+// Reads the hashes of the log heads. OrbitDB decodes and sorts the heads it
+// returns, which fails if it can't decrypt them, or if there are several
+// heads encrypted for replication as their clocks can't be read. The heads
+// storage holds the hashes as they are. Without it, the hashes are undefined
+// if the heads can't be decrypted with the encryption the database was
+// opened with.
+const readHeadHashes = async (db, headsStorage) => {
+  if (headsStorage) {
+    const bytes = await headsStorage.get('heads')
+    return bytes ? JSON.parse(new TextDecoder().decode(bytes)).map(({ hash }) => hash) : []
+  }
+
+  try {
+    return (await db.log.heads()).map(({ hash }) => hash)
+  } catch (e) {
+    if (isOpenedWithEncryption(db)) {
+      return undefined
+    }
+    throw new InvalidInputError('Could not read the log heads, pass the heads storage of the database or its address', { cause: e })
+  }
+}
+
+// Opens the database at the address without encryption options, with a heads
+// storage to read the heads from, and closes it when done
+const withAddress = async (orbitdb, address, fn) => {
+  const headsStorage = await createHeadsStorage(orbitdb, address)
+  let opened
+  try {
+    opened = await orbitdb.open(address, { headsStorage })
+  } catch (e) {
+    await headsStorage.close()
+    throw e
+  }
+  try {
+    return await fn(opened, headsStorage)
+  } finally {
+    // Closes the heads storage too
+    await opened.close()
+  }
+}
+
+const inspectPayload = async (payload, data) => {
+  if (!isBytes(payload)) {
+    return { data: false, format: undefined, readable: data == null }
+  }
+  return {
+    data: true,
+    format: formatOf(payload),
+    readable: data != null && await tryDecrypt(data, payload) !== undefined
+  }
+}
+
+// Inspects the raw block of a head, and whether the encryption can read it
+// the way OrbitDB would decrypt it
+const inspectHead = async (db, hash, { data, replication } = {}) => {
+  const block = dagCbor.decode(await db.log.storage.get(hash))
+
+  if (isBytes(block)) {
+    // The entry is encrypted for replication. Its payload can only be
+    // inspected if the encryption can decrypt it.
+    const format = formatOf(block)
+    const bytes = replication ? await tryDecrypt(replication, block) : undefined
+    if (!bytes) {
+      return { replication: true, data: undefined, format, readable: false }
+    }
+    return { ...await inspectPayload(dagCbor.decode(bytes).payload, data), replication: true, format }
+  }
+
+  const payload = await inspectPayload(block.payload, data)
+  return { ...payload, replication: false, readable: payload.readable && replication == null }
+}
+
+/**
+ * Creates the manifest `meta` that records the encryption of a new
+ * database, along with a check value for every encryption that
+ * `verifyPassword` uses. The encryption can then be detected and verified
+ * even when the database is empty.
+ *
+ * Note that `meta` is part of a database's address.
+ *
+ * @param {Object} encryption The encryption, `{ data, replication }`
+ * @returns {Promise<Object>} The `meta` to pass to `orbitdb.open`
+ *
+ * @example
+ * const encryption = { data, replication }
+ * const db = await orbitdb.open('my-db', { encryption, meta: await encryptionMeta(encryption) })
+ */
+const encryptionMeta = async ({ data, replication } = {}) => {
+  // Manifests can't hold undefined values
+  const check = {}
+  if (data) {
+    check.data = await data.encrypt(checkValue)
+  }
+  if (replication) {
+    check.replication = await replication.encrypt(checkValue)
+  }
+
+  return {
+    encryption: {
+      data: data != null,
+      replication: replication != null,
+      format: `simple-encryption/${VERSION}`,
+      check
+    }
+  }
+}
+
+/**
+ * Detects whether, and how, a database is encrypted by inspecting the raw
+ * blocks of its log heads.
+ *
+ * The result has the fields
+ * - `encrypted`: whether the database is encrypted, `undefined` if it is
+ *   empty and its manifest does not record its encryption
+ * - `data` and `replication`: whether payloads and entries are encrypted,
+ *   `undefined` if unknown
+ * - `format`: the ciphertext format, eg. `simple-encryption/1`, or `unknown`
+ * - `empty`: whether the log has no entries
+ * - `readable`: whether the entries can be read with the encryption the
+ *   database was opened with, or with `options.encryption` for an address
+ *
+ * OrbitDB only returns the heads of a database opened with encryption
+ * options if it can decrypt them. Otherwise, only `readable` is known besides
+ * what the manifest records. It also fails to return several heads encrypted
+ * for replication without the replication encryption, eg. after concurrent
+ * writes. Databases given by address, or along with their heads storage, can
+ * always be inspected.
+ *
+ * Replicated entries that a peer can't decrypt are not added to its log, so
+ * a replica opened with the wrong encryption appears empty.
+ *
+ * When given an address, the database is opened without encryption options
+ * and closed when done. It must not be open when calling this function.
+ *
+ * @param {Object|string} db An OrbitDB database or the address of one
+ * @param {Object} [options]
+ * @param {Object} [options.orbitdb] The OrbitDB instance to open the
+ * address with
+ * @param {Object} [options.encryption] The encryption, `{ data, replication }`,
+ * to check `readable` with when given an address
+ * @param {Object} [options.headsStorage] The heads storage the database was
+ * opened with, to read the heads from
+ * @returns {Promise<Object>} The detected encryption
+ */
+const detectEncryption = async (db, { orbitdb, encryption = {}, headsStorage } = {}) => {
+  if (typeof db === 'string') {
+    if (!orbitdb) {
+      throw new InvalidInputError('An OrbitDB instance is needed to detect the encryption by address')
+    }
+    return withAddress(orbitdb, db, (opened, headsStorage) => detect(opened, encryption, headsStorage))
+  }
+
+  return detect(db, db.log.encryption, headsStorage)
+}
+
+const detect = async (db, encryption, headsStorage) => {
+  const marker = db.meta?.encryption
+
+  const result = {
+    encrypted: marker ? marker.data || marker.replication : undefined,
+    data: marker?.data,
+    replication: marker?.replication,
+    format: marker ? marker.format : undefined,
+    empty: false,
+    readable: true
+  }
+
+  const hashes = await readHeadHashes(db, headsStorage)
+  if (!hashes) {
+    return { ...result, readable: false }
+  }
+  if (hashes.length === 0) {
+    return { ...result, empty: true }
+  }
+
+  const inspected = await Promise.all(hashes.map(hash => inspectHead(db, hash, encryption)))
+  const replication = inspected.some(head => head.replication)
+  const data = inspected.some(head => head.data === true)
+    ? true
+    : inspected.every(head => head.data === false) ? false : result.data
+  const format = inspected.map(head => head.format).find(format => format !== undefined)
+
+  return {
+    encrypted: replication || data === true,
+    data,
+    replication,
+    format,
+    empty: false,
+    readable: inspected.every(head => head.readable)
+  }
+}
+
+/**
+ * Detects if an OrbitDB database is encrypted. See `detectEncryption` for
+ * the details.
+ *
+ * Empty databases return `false` unless they were created with
+ * `encryptionMeta`. Unexpected errors are treated as "not encrypted" to
+ * avoid false positives.
+ *
+ * @param {Object} db - OrbitDB database instance
+ * @param {Object} [options] - The options of `detectEncryption`
+ * @returns {Promise<boolean>} - true if database appears to be encrypted, false otherwise
+ *
+ * @example
+ * const db = await orbitdb.open(address, {})
+ * const isEncrypted = await isDatabaseEncrypted(db)
+ * if (isEncrypted) {
+ *   // Show password modal
+ * }
+ */
+const isDatabaseEncrypted = async (db, options) => {
+  try {
+    const { encrypted } = await detectEncryption(db, options)
+    return encrypted === true
+  } catch (e) {
+    return false
+  }
+}
+
+const verifyCheckValues = async (check, encryption) => {
+  for (const name of ['data', 'replication']) {
+    if ((check[name] == null) !== (encryption[name] == null)) {
+      return false
+    }
+    if (check[name] != null) {
+      const plaintext = await tryDecrypt(encryption[name], check[name])
+      if (!plaintext || !equals(plaintext, checkValue)) {
+        return false
+      }
+    }
+  }
+  return true
+}
+
+/**
+ * Verifies that a database can be read with the given encryption, eg. that
+ * a password is right, without opening the database with it.
+ *
+ * Databases created with `encryptionMeta` are verified against the check
+ * values in their manifest, others by decrypting their log heads. The
+ * database has to be opened without encryption options for the latter, and
+ * given by address or along with its heads storage if it may have several
+ * heads.
+ *
+ * When given an address, the database is opened without encryption options
+ * and closed when done. It must not be open when calling this function.
+ *
+ * @param {Object|string} db An OrbitDB database or the address of one
+ * @param {Object} encryption The encryption, `{ data, replication }`
+ * @param {Object} [options]
+ * @param {Object} [options.orbitdb] The OrbitDB instance to open the
+ * address with
+ * @param {Object} [options.headsStorage] The heads storage the database was
+ * opened with, to read the heads from
+ * @returns {Promise<boolean|undefined>} Whether the database can be read with
+ * the encryption, `undefined` if the database is empty and has no check values
+ *
+ * @example
+ * const data = await SimpleEncryption({ password })
+ * if (await verifyPassword(address, { data }, { orbitdb })) {
+ *   const db = await orbitdb.open(address, { encryption: { data } })
+ * }
+ */
+const verifyPassword = async (db, encryption = {}, { orbitdb, headsStorage } = {}) => {
+  if (typeof db === 'string') {
+    if (!orbitdb) {
+      throw new InvalidInputError('An OrbitDB instance is needed to verify a password by address')
+    }
+    return withAddress(orbitdb, db, (opened, headsStorage) => verifyPassword(opened, encryption, { headsStorage }))
+  }
+
+  const check = db.meta?.encryption?.check
+  if (check) {
+    return verifyCheckValues(check, encryption)
+  }
+
+  const hashes = await readHeadHashes(db, headsStorage)
+  if (!hashes) {
+    throw new InvalidInputError('Could not read the log heads, open the database without encryption options to verify a password')
+  }
+
+  if (hashes.length === 0) {
+    return undefined
+  }
+
+  for (const hash of hashes) {
+    if (!(await inspectHead(db, hash, encryption)).readable) {
+      return false
+    }
+  }
+  return true
+}
+
+export { detectEncryption, encryptionMeta, isDatabaseEncrypted, verifyPassword }
@@ -0,0 +1,206 @@
+/**
+ * @description
+ * Deterministic encryption for values that have to be looked up by their
+ * ciphertext, eg. the keys of a keyvalue database.
+ *
+ * The nonce is a synthetic IV, an HMAC-SHA256 of the associated data and the
+ * plaintext, so the same plaintext always encrypts to the same ciphertext.
+ * Different plaintexts still get different nonces, so no nonce is ever used
+ * for two different messages. The encryption and the HMAC key are derived
+ * with HKDF from one key, which is derived from a password and a fixed salt
+ * or given directly.
+ *
+ * Deterministic ciphertexts reveal which values are equal. Only use them
+ * where that is needed, and the randomized SimpleEncryption everywhere else.
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { fromString } from 'uint8arrays/from-string'
+import { toString } from 'uint8arrays/to-string'
+import { equals } from 'uint8arrays/equals'
+import { KDFs, hasHeader, encodeHeader, decodeHeader, encodeAssociatedData, Flags } from './format.js'
+import { resolveKdf } from './kdf.js'
+import { algorithmIds, keyLengths, authenticationFailed } from './aes-gcm-pbkdf2.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, AuthenticationFailedError, WrongKeyError, UnsupportedFormatError } from './errors.js'
+
+const nonceLength = 12
+
+const isBytesOrString = (value) => typeof value === 'string' || value?.subarray != null
+
+const toBytes = (value) => typeof value === 'string' ? fromString(value) : value
+
+const deriveBits = async (password, salt, kdf, params, length) => {
+  if (kdf.deriveBits) {
+    return await kdf.deriveBits(password, salt, params, length)
+  }
+  const crypto = getCrypto()
+  const rawKey = await crypto.subtle.importKey('raw', password, { name: 'PBKDF2' }, false, ['deriveBits'])
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: params.iterations, hash: { name: 'SHA-256' } }, rawKey, length)
+  return new Uint8Array(bits)
+}
+
+// Splits one key into the AES-GCM key and the HMAC key of the synthetic IV
+const deriveKeys = async (master, keyLength) => {
+  const crypto = getCrypto()
+  const hkdfKey = await crypto.subtle.importKey('raw', master, { name: 'HKDF' }, false, ['deriveKey'])
+  const hkdf = (info) => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: fromString(info) })
+  const encryptionKey = await crypto.subtle.deriveKey(hkdf('simple-encryption/deterministic/aes-gcm'), hkdfKey, { name: 'AES-GCM', length: keyLength }, false, ['encrypt', 'decrypt'])
+  const macKey = await crypto.subtle.deriveKey(hkdf('simple-encryption/deterministic/siv'), hkdfKey, { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign'])
+  return { encryptionKey, macKey }
+}
+
+/**
+ * Creates an encryption object that encrypts the same value to the same
+ * ciphertext every time.
+ *
+ * Either a `password` and a `salt`, or a `key` has to be given. Every
+ * instance created with the same password and salt, or the same key,
+ * produces the same ciphertexts.
+ *
+ * @param {Object} options
+ * @param {string|Uint8Array} [options.password] The password to derive the key from
+ * @param {string|Uint8Array} [options.salt] The salt to derive the key with,
+ * eg. the name of the database. Required with a password.
+ * @param {Uint8Array} [options.key] A 128 or 256-bit key as raw bytes
+ * @param {Object} [options.kdf] Key derivation function, see SimpleEncryption
+ * @param {number} [options.keyLength=128] AES key length in bits, 128 or 256
+ * @param {string|Uint8Array} [options.associatedData] Context every value is
+ * bound to
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ * for TypedArrays, and `encryptString` and `decryptString` functions that
+ * encode ciphertexts as base64url, eg. for database keys
+ */
+const DeterministicEncryption = async ({ password, salt, key, kdf: kdfOptions, keyLength = 128, associatedData: context }) => {
+  if (key != null && password != null) {
+    throw new InvalidInputError('Provide either a password or a key, not both')
+  }
+  if (key == null && (password == null || !isBytesOrString(password))) {
+    throw new InvalidInputError('password must be a String or a TypedArray')
+  }
+  if (key != null && (!key.subarray || (key.length !== 16 && key.length !== 32))) {
+    throw new InvalidInputError('key must be 16 or 32 bytes long')
+  }
+  if (password != null && (salt == null || !isBytesOrString(salt) || salt.length === 0)) {
+    throw new InvalidInputError('A deterministic key derived from a password requires a salt')
+  }
+  if (context != null && !isBytesOrString(context)) {
+    throw new InvalidInputError('associatedData must be a String or a TypedArray')
+  }
+
+  const crypto = getCrypto()
+
+  let header
+  let master
+  if (key != null) {
+    keyLength = key.length * 8
+    header = encodeHeader({ algorithm: algorithmIds[keyLength], kdf: KDFs.NONE, nonce: new Uint8Array(nonceLength), deterministic: true })
+    master = key
+  } else {
+    if (!algorithmIds[keyLength]) {
+      throw new InvalidInputError('keyLength must be 128 or 256')
+    }
+    const { kdf, params } = resolveKdf(kdfOptions)
+    const kdfParams = kdf.encodeParams(params)
+    salt = toBytes(salt)
+    header = encodeHeader({ algorithm: algorithmIds[keyLength], kdf: kdf.id, kdfParams, salt, nonce: new Uint8Array(nonceLength), deterministic: true })
+    master = await deriveBits(toBytes(password), salt, kdf, params, keyLength)
+  }
+
+  const { encryptionKey, macKey } = await deriveKeys(master, keyLength)
+
+  // Everything but the nonce is the same for every ciphertext
+  const headerPrefix = header.subarray(0, header.length - nonceLength)
+
+  const toAssociatedData = ({ associatedData } = {}) => {
+    if (associatedData != null && !isBytesOrString(associatedData)) {
+      throw new InvalidInputError('associatedData must be a String or a TypedArray')
+    }
+    if (context == null && associatedData == null) {
+      return new Uint8Array(0)
+    }
+    return encodeAssociatedData([toBytes(context), toBytes(associatedData)])
+  }
+
+  const syntheticNonce = async (data, associatedData) => {
+    const mac = await crypto.subtle.sign('HMAC', macKey, encodeAssociatedData([headerPrefix, associatedData, data]))
+    return new Uint8Array(mac).subarray(0, nonceLength)
+  }
+
+  /**
+   * Encrypts the data. The same data and associated data always result in
+   * the same ciphertext.
+   */
+  const encrypt = async (data, options) => {
+    if (!data?.subarray) {
+      throw new InvalidInputError('Data to encrypt must be a TypedArray')
+    }
+    const associatedData = toAssociatedData(options)
+    const nonce = await syntheticNonce(data, associatedData)
+    const header = concat([headerPrefix, nonce])
+    const aesGcm = { name: 'AES-GCM', iv: nonce, additionalData: concat([header, associatedData]) }
+    const ciphertext = await crypto.subtle.encrypt(aesGcm, encryptionKey, data)
+    return concat([header, new Uint8Array(ciphertext)])
+  }
+
+  /**
+   * Decrypts data that was encrypted deterministically with the same key.
+   * The `associatedData` has to be the same the data was encrypted with.
+   */
+  const decrypt = async (data, options) => {
+    if (!data?.subarray) {
+      throw new InvalidInputError('Data to decrypt must be a TypedArray')
+    }
+    if (!hasHeader(data)) {
+      throw new UnsupportedFormatError('Ciphertext has no header')
+    }
+    const associatedData = toAssociatedData(options)
+    const { header, flags, algorithm, nonce, ciphertext } = decodeHeader(data)
+    if ((flags & Flags.DETERMINISTIC) === 0) {
+      throw new WrongKeyError('Ciphertext was not encrypted deterministically')
+    }
+    if (keyLengths[algorithm] !== keyLength || !equals(header.subarray(0, header.length - nonce.length), headerPrefix)) {
+      throw new WrongKeyError('Ciphertext was encrypted with a different key, salt or key derivation function')
+    }
+    let plaintext
+    try {
+      const aesGcm = { name: 'AES-GCM', iv: nonce, additionalData: concat([header, associatedData]) }
+      plaintext = new Uint8Array(await crypto.subtle.decrypt(aesGcm, encryptionKey, ciphertext))
+    } catch (e) {
+      throw new AuthenticationFailedError(authenticationFailed, { cause: e })
+    }
+    if (!equals(await syntheticNonce(plaintext, associatedData), nonce)) {
+      throw new AuthenticationFailedError(authenticationFailed)
+    }
+    return plaintext
+  }
+
+  /**
+   * Encrypts a string to a base64url string, eg. to use as a database key.
+   */
+  const encryptString = async (value, options) => {
+    if (typeof value !== 'string') {
+      throw new InvalidInputError('Value to encrypt must be a String')
+    }
+    return toString(await encrypt(fromString(value), options), 'base64url')
+  }
+
+  /**
+   * Decrypts a string that was encrypted with `encryptString`.
+   */
+  const decryptString = async (value, options) => {
+    if (typeof value !== 'string') {
+      throw new InvalidInputError('Value to decrypt must be a String')
+    }
+    return toString(await decrypt(fromString(value, 'base64url'), options))
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    encryptString,
+    decryptString
+  }
+}
+
+export default DeterministicEncryption
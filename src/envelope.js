@@ -0,0 +1,204 @@
+/**
+ * @description
+ * Envelope encryption for sharing a database with several members.
+ *
+ * Entries are encrypted with a random data key. The data key is wrapped for
+ * every member's X25519 public key (ECDH + HKDF + AES-KW, see key-wrap.js)
+ * and the wrapped keys are stored in an envelope, a JSON-serializable object
+ * the application stores alongside the database, eg. in a keyvalue database.
+ *
+ * Revoking a member creates a new data key that is only wrapped for the
+ * remaining members. Entries written afterwards can't be read by the revoked
+ * member, entries written before can still be read by anyone who kept the
+ * old data key.
+ */
+
+import { toString } from 'uint8arrays/to-string'
+import { fromString } from 'uint8arrays/from-string'
+import Keyring from './keyring.js'
+import { curves, wrapKey, unwrapKey } from './key-wrap.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, UnsupportedFormatError, WrongKeyError } from './errors.js'
+
+const VERSION = 1
+
+const curve = curves.x25519
+
+const encode = (bytes) => toString(bytes, 'base64url')
+const decode = (string) => fromString(string, 'base64url')
+
+const randomBytes = (length) => getCrypto().getRandomValues(new Uint8Array(length))
+
+const validateEnvelope = (envelope) => {
+  if (envelope?.version !== VERSION || !Array.isArray(envelope.keys) || typeof envelope.active !== 'string') {
+    throw new UnsupportedFormatError('Unsupported envelope')
+  }
+}
+
+const validateRecipients = (recipients) => {
+  if (!Array.isArray(recipients) || recipients.length === 0 || !recipients.every(recipient => recipient?.subarray)) {
+    throw new InvalidInputError('recipients must be a non-empty Array of public keys')
+  }
+}
+
+const wrapFor = async (dataKey, publicKey) => {
+  const { ephemeralPublicKey, wrappedKey } = await wrapKey(dataKey, publicKey, curve)
+  return {
+    publicKey: encode(publicKey),
+    ephemeralPublicKey: encode(ephemeralPublicKey),
+    wrappedKey: encode(wrappedKey)
+  }
+}
+
+// A new data key, wrapped for every recipient
+const createGeneration = async (recipients) => {
+  const dataKey = randomBytes(32)
+  return {
+    id: encode(randomBytes(9)),
+    recipients: await Promise.all(recipients.map(publicKey => wrapFor(dataKey, publicKey)))
+  }
+}
+
+// Unwraps every data key of the envelope the private key has access to
+const openKeys = async (envelope, privateKey) => {
+  validateEnvelope(envelope)
+
+  const publicKey = encode(curve.getPublicKey(privateKey))
+  const keys = []
+
+  for (const { id, recipients } of envelope.keys) {
+    const recipient = recipients.find(recipient => recipient.publicKey === publicKey)
+    if (recipient) {
+      const wrapped = { ephemeralPublicKey: decode(recipient.ephemeralPublicKey), wrappedKey: decode(recipient.wrappedKey) }
+      keys.push({ id, key: await unwrapKey(wrapped, privateKey, curve) })
+    }
+  }
+
+  return keys
+}
+
+/**
+ * Generates an X25519 key pair for a member.
+ *
+ * @returns {Object} The `privateKey` and the `publicKey`
+ */
+const generateKeyPair = () => {
+  const privateKey = curve.randomPrivateKey()
+  return { privateKey, publicKey: curve.getPublicKey(privateKey) }
+}
+
+/**
+ * Creates an envelope with a new data key for the given members.
+ *
+ * @param {Object} options
+ * @param {Array<Uint8Array>} options.recipients The members' public keys
+ * @returns {Promise<Object>} The envelope
+ */
+const createEnvelope = async ({ recipients } = {}) => {
+  validateRecipients(recipients)
+
+  const generation = await createGeneration(recipients)
+
+  return {
+    version: VERSION,
+    active: generation.id,
+    keys: [generation]
+  }
+}
+
+/**
+ * Gives a new member access to every data key the granting member has
+ * access to.
+ *
+ * @param {Object} envelope The envelope
+ * @param {Object} options
+ * @param {Uint8Array} options.privateKey The granting member's private key
+ * @param {Uint8Array} options.recipient The new member's public key
+ * @returns {Promise<Object>} The updated envelope
+ */
+const grantAccess = async (envelope, { privateKey, recipient } = {}) => {
+  validateRecipients([recipient])
+
+  const keys = await openKeys(envelope, privateKey)
+
+  if (keys.length === 0) {
+    throw new WrongKeyError('No access to this envelope')
+  }
+
+  const publicKey = encode(recipient)
+
+  const grant = async (generation) => {
+    const opened = keys.find(({ id }) => id === generation.id)
+    if (!opened || generation.recipients.some(recipient => recipient.publicKey === publicKey)) {
+      return generation
+    }
+    return { ...generation, recipients: [...generation.recipients, await wrapFor(opened.key, recipient)] }
+  }
+
+  return { ...envelope, keys: await Promise.all(envelope.keys.map(grant)) }
+}
+
+/**
+ * Removes a member from the envelope and activates a new data key that is
+ * wrapped for the remaining members of the active data key.
+ *
+ * @param {Object} envelope The envelope
+ * @param {Object} options
+ * @param {Uint8Array} options.recipient The public key of the member to remove
+ * @returns {Promise<Object>} The updated envelope
+ */
+const revokeAccess = async (envelope, { recipient } = {}) => {
+  validateEnvelope(envelope)
+  validateRecipients([recipient])
+
+  const publicKey = encode(recipient)
+  const active = envelope.keys.find(({ id }) => id === envelope.active)
+  if (!active) {
+    throw new UnsupportedFormatError('Envelope has no active key')
+  }
+  const remaining = active.recipients.filter(recipient => recipient.publicKey !== publicKey)
+
+  if (remaining.length === 0) {
+    throw new InvalidInputError('Can\'t revoke access of the last member')
+  }
+
+  const generation = await createGeneration(remaining.map(recipient => decode(recipient.publicKey)))
+
+  const keys = envelope.keys.map(generation => ({
+    ...generation,
+    recipients: generation.recipients.filter(recipient => recipient.publicKey !== publicKey)
+  }))
+
+  return {
+    ...envelope,
+    active: generation.id,
+    keys: [...keys, generation]
+  }
+}
+
+/**
+ * Creates an encryption object for a member of an envelope. Values are
+ * encrypted with the active data key and decrypted with any data key the
+ * member has access to.
+ *
+ * @param {Object} options
+ * @param {Object} options.envelope The envelope
+ * @param {Uint8Array} options.privateKey The member's private key
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ */
+const EnvelopeEncryption = async ({ envelope, privateKey } = {}) => {
+  if (!privateKey?.subarray) {
+    throw new InvalidInputError('privateKey must be a TypedArray')
+  }
+
+  const keys = await openKeys(envelope, privateKey)
+
+  if (!keys.some(({ id }) => id === envelope.active)) {
+    throw new WrongKeyError('No access to the active key of this envelope')
+  }
+
+  return Keyring({ keys, active: envelope.active })
+}
+
+export default EnvelopeEncryption
+export { generateKeyPair, createEnvelope, grantAccess, revokeAccess }
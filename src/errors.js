@@ -0,0 +1,82 @@
+/**
+ * @description
+ * Errors thrown when encrypting or decrypting fails. Every error has a
+ * stable `code` that applications can react to instead of matching the
+ * message, which may change.
+ */
+
+/**
+ * Base class of the errors thrown by this module.
+ */
+export class EncryptionError extends Error {
+  constructor (message, options) {
+    super(message, options)
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * An option or the data to encrypt or decrypt is invalid, eg. the data is
+ * not a TypedArray.
+ */
+export class InvalidInputError extends EncryptionError {
+  constructor (message, options) {
+    super(message, options)
+    this.code = 'ERR_INVALID_INPUT'
+  }
+}
+
+/**
+ * The ciphertext could not be authenticated: it was encrypted with a
+ * different password, key or associated data, or has been tampered with.
+ */
+export class AuthenticationFailedError extends EncryptionError {
+  constructor (message, options) {
+    super(message, options)
+    this.code = 'ERR_AUTHENTICATION_FAILED'
+  }
+}
+
+/**
+ * The ciphertext was written in a format, or with a cipher or key derivation
+ * function, this version of the module doesn't support.
+ */
+export class UnsupportedFormatError extends EncryptionError {
+  constructor (message, options) {
+    super(message, options)
+    this.code = 'ERR_UNSUPPORTED_FORMAT'
+  }
+}
+
+/**
+ * The ciphertext is shorter than its format requires.
+ */
+export class TruncatedCiphertextError extends EncryptionError {
+  constructor (message, options) {
+    super(message, options)
+    this.code = 'ERR_TRUNCATED_CIPHERTEXT'
+  }
+}
+
+/**
+ * The ciphertext can't be decrypted with this kind of key, eg. it was
+ * encrypted with a key instead of a password or with an unknown key id.
+ */
+export class WrongKeyError extends EncryptionError {
+  constructor (message, options) {
+    super(message, options)
+    this.code = 'ERR_WRONG_KEY'
+  }
+}
+
+/**
+ * The password doesn't meet the password policy. `reasons` lists every
+ * requirement it failed.
+ */
+export class WeakPasswordError extends EncryptionError {
+  constructor (message, { reasons = [], ...options } = {}) {
+    super(message, options)
+    this.code = 'ERR_WEAK_PASSWORD'
+    this.reasons = reasons
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * @description
+ * Encrypts selected fields of documents, so that the other fields stay
+ * readable, eg. to index or query documents by their type.
+ *
+ * Fields are given as paths like `ssn` or `address.street`. A `*` matches
+ * every property of an object or every item of an array, eg. `notes.*`.
+ * Every value is encoded with dag-cbor and encrypted on its own, so it keeps
+ * its type. The ciphertext is bound to the id of the document and the path
+ * of the field, so encrypted values can't be moved to another document or
+ * field.
+ */
+
+import * as dagCbor from '@ipld/dag-cbor'
+import { fromString } from 'uint8arrays/from-string'
+import { encodeAssociatedData } from './format.js'
+import { InvalidInputError, UnsupportedFormatError } from './errors.js'
+
+const isContainer = (value) => value !== null && typeof value === 'object' && !value.subarray
+
+// Calls `transform` for every value matching the path and returns a copy of
+// the value with the results. Values that don't exist are skipped.
+const mapPath = async (value, segments, path, transform, skip) => {
+  if (segments.length === 0) {
+    return transform(value, path.join('.'))
+  }
+  if (!isContainer(value)) {
+    return value
+  }
+  const [segment, ...rest] = segments
+  const keys = segment === '*'
+    ? Object.keys(value).filter(key => !skip(path, key))
+    : Object.hasOwn(value, segment) ? [segment] : []
+  if (keys.length === 0) {
+    return value
+  }
+  const copy = Array.isArray(value) ? [...value] : { ...value }
+  for (const key of keys) {
+    copy[key] = await mapPath(value[key], rest, [...path, key], transform, skip)
+  }
+  return copy
+}
+
+/**
+ * Creates a field encryption for documents.
+ *
+ * @param {Object} options
+ * @param {Object} options.encryption An encryption object, eg. SimpleEncryption
+ * @param {Array<string>} options.fields Paths of the fields to encrypt, eg.
+ * `['ssn', 'notes.*']`
+ * @param {string} [options.indexBy=_id] The field documents are indexed by,
+ * which is never encrypted
+ * @returns {Object} An object with `encryptDocument` and `decryptDocument`
+ * functions, and `wrap` to use it with a documents database
+ */
+const FieldEncryption = ({ encryption, fields, indexBy = '_id' } = {}) => {
+  if (!encryption) {
+    throw new InvalidInputError('FieldEncryption requires an encryption')
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string' || field.length === 0)) {
+    throw new InvalidInputError('fields must be a non-empty Array of Strings')
+  }
+  if (fields.some(field => field.split('.')[0] === indexBy)) {
+    throw new InvalidInputError(`The ${indexBy} field can't be encrypted`)
+  }
+
+  const paths = fields.map(field => field.split('.'))
+
+  // A `*` at the top level doesn't match the field documents are indexed by
+  const skip = (path, key) => path.length === 0 && key === indexBy
+
+  const associatedData = (document, path) => {
+    const id = document[indexBy] != null ? fromString(String(document[indexBy])) : undefined
+    return encodeAssociatedData([id, fromString(path)])
+  }
+
+  /**
+   * Returns a copy of the document with the selected fields encrypted.
+   *
+   * @param {Object} document
+   * @returns {Promise<Object>}
+   */
+  const encryptDocument = async (document) => {
+    if (!isContainer(document)) {
+      throw new InvalidInputError('Document must be an Object')
+    }
+    let encrypted = document
+    for (const segments of paths) {
+      encrypted = await mapPath(encrypted, segments, [], (value, path) => {
+        if (value === undefined) {
+          return value
+        }
+        return encryption.encrypt(dagCbor.encode(value), { associatedData: associatedData(document, path) })
+      }, skip)
+    }
+    return encrypted
+  }
+
+  /**
+   * Returns a copy of the document with the selected fields decrypted.
+   *
+   * @param {Object} document
+   * @returns {Promise<Object>}
+   */
+  const decryptDocument = async (document) => {
+    if (!isContainer(document)) {
+      throw new InvalidInputError('Document must be an Object')
+    }
+    // Fields are decrypted in reverse order, in case they overlap
+    let decrypted = document
+    for (const segments of [...paths].reverse()) {
+      decrypted = await mapPath(decrypted, segments, [], async (value, path) => {
+        if (value === undefined) {
+          return value
+        }
+        if (!value?.subarray) {
+          throw new UnsupportedFormatError(`Field ${path} is not encrypted`)
+        }
+        return dagCbor.decode(await encryption.decrypt(value, { associatedData: associatedData(document, path) }))
+      }, skip)
+    }
+    return decrypted
+  }
+
+  /**
+   * Wraps a documents database, so that documents are encrypted when they
+   * are put and decrypted when they are read. `query` is called with the
+   * decrypted documents.
+   *
+   * @param {Object} db A documents database
+   * @returns {Object} The database with encrypting `put` and decrypting
+   * `get`, `iterator`, `query` and `all` functions
+   */
+  const wrap = (db) => {
+    if (db.indexBy !== indexBy) {
+      throw new InvalidInputError(`The database indexes documents by ${db.indexBy}, not ${indexBy}`)
+    }
+
+    const decryptEntry = async ({ hash, key, value }) => ({ hash, key, value: await decryptDocument(value) })
+
+    const put = async (document) => db.put(await encryptDocument(document))
+
+    const get = async (key) => {
+      const entry = await db.get(key)
+      if (entry) {
+        return decryptEntry(entry)
+      }
+    }
+
+    const iterator = async function * (options) {
+      for await (const entry of db.iterator(options)) {
+        yield await decryptEntry(entry)
+      }
+    }
+
+    const query = async (findFn) => {
+      const results = []
+      for await (const { value } of iterator()) {
+        if (findFn(value)) {
+          results.push(value)
+        }
+      }
+      return results
+    }
+
+    const all = async () => Promise.all((await db.all()).map(decryptEntry))
+
+    return {
+      ...db,
+      put,
+      get,
+      iterator,
+      query,
+      all
+    }
+  }
+
+  return {
+    encryptDocument,
+    decryptDocument,
+    wrap
+  }
+}
+
+export default FieldEncryption
@@ -0,0 +1,270 @@
+/**
+ * @description
+ * Versioned, self-describing ciphertext format.
+ *
+ * Every ciphertext written by SimpleEncryption starts with a header that
+ * records how it was produced, so that readers can derive the right key even
+ * after the defaults of this library change:
+ *
+ * | magic (2) | version (1) | flags (1) | algorithm (1) | kdf (1) |
+ * | kdf params length (1) | kdf params | salt length (1) | salt |
+ * | nonce length (1) | nonce | [key id length (1) | key id] | [padding (1)] |
+ * | [compression (1)] | ciphertext |
+ *
+ * Optional fields are present when their bit is set in the flags, see `Flags`.
+ * The header bytes are authenticated as additional data by AES-GCM.
+ *
+ * Ciphertexts written before the header was introduced are a bare
+ * `salt (16) | nonce (12) | ciphertext` and are still readable, see
+ * `decodeLegacy`.
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { InvalidInputError, UnsupportedFormatError, TruncatedCiphertextError } from './errors.js'
+
+export const MAGIC = Uint8Array.from([0x53, 0x45]) // 'SE'
+export const VERSION = 1
+
+export const Algorithms = {
+  AES_128_GCM: 1,
+  AES_256_GCM: 2
+}
+
+export const KDFs = {
+  // The ciphertext was encrypted with a key that was not derived from a password
+  NONE: 0,
+  PBKDF2_SHA256: 1,
+  SCRYPT: 2,
+  ARGON2ID: 3
+}
+
+export const Flags = {
+  // The header ends with the id of the key the data was encrypted with
+  KEY_ID: 0x01,
+  // The nonce is derived from the data, see DeterministicEncryption
+  DETERMINISTIC: 0x02,
+  // The header ends with the padding scheme the plaintext was padded with
+  PADDED: 0x04,
+  // The header ends with the format the plaintext was compressed with
+  COMPRESSED: 0x08
+}
+
+export const Paddings = {
+  BLOCK: 1,
+  POW2: 2,
+  PADME: 3
+}
+
+export const Compressions = {
+  DEFLATE: 1,
+  GZIP: 2
+}
+
+const knownFlags = Object.values(Flags).reduce((all, flag) => all | flag, 0)
+
+export const LEGACY_SALT_LENGTH = 16
+export const LEGACY_NONCE_LENGTH = 12
+
+// Every ciphertext ends with the AES-GCM authentication tag
+export const TAG_LENGTH = 16
+
+const isKnown = (registry, id) => Object.values(registry).includes(id)
+
+/**
+ * Returns true if the bytes start with the magic bytes of the current format.
+ * Legacy ciphertexts start with a random salt and can match by chance, see
+ * `AES().decrypt` for how that case is handled.
+ */
+export const hasHeader = (bytes) => {
+  return bytes.length > MAGIC.length && bytes[0] === MAGIC[0] && bytes[1] === MAGIC[1]
+}
+
+/**
+ * Encodes the header for a ciphertext.
+ */
+export const encodeHeader = ({ algorithm, kdf, kdfParams = new Uint8Array(0), salt = new Uint8Array(0), nonce, keyId, deterministic = false, padding, compression }) => {
+  if (kdfParams.length > 255 || salt.length > 255 || nonce.length > 255 || keyId?.length > 255) {
+    throw new InvalidInputError('Header field is too long')
+  }
+  const flags = (keyId != null ? Flags.KEY_ID : 0) |
+    (deterministic ? Flags.DETERMINISTIC : 0) |
+    (padding != null ? Flags.PADDED : 0) |
+    (compression != null ? Flags.COMPRESSED : 0)
+  return concat([
+    MAGIC,
+    Uint8Array.from([VERSION, flags, algorithm, kdf, kdfParams.length]),
+    kdfParams,
+    Uint8Array.from([salt.length]),
+    salt,
+    Uint8Array.from([nonce.length]),
+    nonce,
+    ...(keyId != null ? [Uint8Array.from([keyId.length]), keyId] : []),
+    ...(padding != null ? [Uint8Array.from([padding])] : []),
+    ...(compression != null ? [Uint8Array.from([compression])] : [])
+  ])
+}
+
+/**
+ * Decodes the header of a ciphertext. Throws if the bytes are not a
+ * well-formed ciphertext of a known version.
+ *
+ * @returns {Object} The header fields, the raw `header` bytes and the `ciphertext`
+ */
+export const decodeHeader = (bytes) => {
+  if (!hasHeader(bytes)) {
+    throw new UnsupportedFormatError('Ciphertext has no header')
+  }
+
+  let offset = MAGIC.length
+
+  const read = (length) => {
+    if (offset + length > bytes.length) {
+      throw new TruncatedCiphertextError('Ciphertext is truncated')
+    }
+    const value = bytes.subarray(offset, offset + length)
+    offset += length
+    return value
+  }
+
+  const [version, flags, algorithm, kdf, kdfParamsLength] = read(5)
+
+  if (version !== VERSION) {
+    throw new UnsupportedFormatError(`Unsupported ciphertext format version ${version}`)
+  }
+  if ((flags & ~knownFlags) !== 0) {
+    throw new UnsupportedFormatError(`Unsupported ciphertext flags ${flags}`)
+  }
+  if (!isKnown(Algorithms, algorithm)) {
+    throw new UnsupportedFormatError(`Unsupported ciphertext algorithm ${algorithm}`)
+  }
+  if (!isKnown(KDFs, kdf)) {
+    throw new UnsupportedFormatError(`Unsupported key derivation function ${kdf}`)
+  }
+
+  const kdfParams = read(kdfParamsLength)
+  const salt = read(read(1)[0])
+  const nonce = read(read(1)[0])
+  const keyId = flags & Flags.KEY_ID ? read(read(1)[0]) : undefined
+  const padding = flags & Flags.PADDED ? read(1)[0] : undefined
+  const compression = flags & Flags.COMPRESSED ? read(1)[0] : undefined
+
+  if (padding != null && !isKnown(Paddings, padding)) {
+    throw new UnsupportedFormatError(`Unsupported padding ${padding}`)
+  }
+  if (compression != null && !isKnown(Compressions, compression)) {
+    throw new UnsupportedFormatError(`Unsupported compression ${compression}`)
+  }
+
+  if (bytes.length - offset < TAG_LENGTH) {
+    throw new TruncatedCiphertextError('Ciphertext is truncated')
+  }
+
+  return {
+    version,
+    flags,
+    algorithm,
+    kdf,
+    kdfParams,
+    salt,
+    nonce,
+    keyId,
+    padding,
+    compression,
+    header: bytes.subarray(0, offset),
+    ciphertext: bytes.subarray(offset)
+  }
+}
+
+/**
+ * Encodes the associated data an application binds ciphertexts to. Every
+ * part is prefixed with its length, so that different parts can't be shifted
+ * into each other. Returns empty bytes if no part is given.
+ *
+ * @param {Array<Uint8Array|undefined>} parts
+ */
+export const encodeAssociatedData = (parts) => {
+  if (parts.every(part => part == null)) {
+    return new Uint8Array(0)
+  }
+  return concat(parts.flatMap(part => {
+    part = part ?? new Uint8Array(0)
+    const length = new Uint8Array(4)
+    new DataView(length.buffer).setUint32(0, part.length)
+    return [length, part]
+  }))
+}
+
+/**
+ * Splits a headerless ciphertext written by earlier versions of this library.
+ */
+export const decodeLegacy = (bytes) => {
+  if (bytes.length < LEGACY_SALT_LENGTH + LEGACY_NONCE_LENGTH + TAG_LENGTH) {
+    throw new TruncatedCiphertextError('Ciphertext is truncated')
+  }
+  return {
+    salt: bytes.subarray(0, LEGACY_SALT_LENGTH),
+    nonce: bytes.subarray(LEGACY_SALT_LENGTH, LEGACY_SALT_LENGTH + LEGACY_NONCE_LENGTH),
+    ciphertext: bytes.subarray(LEGACY_SALT_LENGTH + LEGACY_NONCE_LENGTH)
+  }
+}
+
+const encodeUint32s = (values) => {
+  const bytes = new Uint8Array(values.length * 4)
+  const view = new DataView(bytes.buffer)
+  values.forEach((value, i) => view.setUint32(i * 4, value))
+  return bytes
+}
+
+const decodeUint32s = (bytes, count, name) => {
+  if (bytes.length !== count * 4) {
+    throw new UnsupportedFormatError(`Invalid ${name} parameters`)
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return Array.from({ length: count }, (_, i) => view.getUint32(i * 4))
+}
+
+/**
+ * Encodes the parameters of a PBKDF2 key derivation.
+ */
+export const encodePBKDF2Params = ({ iterations }) => {
+  return encodeUint32s([iterations])
+}
+
+/**
+ * Decodes the parameters of a PBKDF2 key derivation.
+ */
+export const decodePBKDF2Params = (params) => {
+  const [iterations] = decodeUint32s(params, 1, 'PBKDF2')
+  return { iterations }
+}
+
+/**
+ * Encodes the parameters of a scrypt key derivation.
+ */
+export const encodeScryptParams = ({ N, r, p }) => {
+  return encodeUint32s([N, r, p])
+}
+
+/**
+ * Decodes the parameters of a scrypt key derivation.
+ */
+export const decodeScryptParams = (params) => {
+  const [N, r, p] = decodeUint32s(params, 3, 'scrypt')
+  return { N, r, p }
+}
+
+/**
+ * Encodes the parameters of an Argon2id key derivation.
+ * `memory` is in KiB.
+ */
+export const encodeArgon2idParams = ({ memory, iterations, parallelism }) => {
+  return encodeUint32s([memory, iterations, parallelism])
+}
+
+/**
+ * Decodes the parameters of an Argon2id key derivation.
+ */
+export const decodeArgon2idParams = (params) => {
+  const [memory, iterations, parallelism] = decodeUint32s(params, 3, 'Argon2id')
+  return { memory, iterations, parallelism }
+}
@@ -0,0 +1,163 @@
+/**
+ * @description
+ * Public-key encryption for the identities of an OrbitDB database.
+ *
+ * Every instance encrypts with a random data key that is wrapped for the
+ * secp256k1 public key of each recipient identity (ECDH + HKDF + AES-KW, see
+ * key-wrap.js). The wrapped keys are prepended to every ciphertext and
+ * authenticated along with it, so any recipient can decrypt the entries
+ * without exchanging a password.
+ *
+ * Layout: version | count | count x (ephemeralPublicKey | wrappedKey) | ciphertext
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { toString } from 'uint8arrays/to-string'
+import { fromString } from 'uint8arrays/from-string'
+import { AESKey, importKey } from './aes-gcm-key.js'
+import { curves, wrapKey, unwrapKey } from './key-wrap.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, UnsupportedFormatError, TruncatedCiphertextError, WrongKeyError } from './errors.js'
+
+const VERSION = 1
+const PUBLIC_KEY_LENGTH = 33
+const WRAPPED_KEY_LENGTH = 40
+const SLOT_LENGTH = PUBLIC_KEY_LENGTH + WRAPPED_KEY_LENGTH
+const MAX_RECIPIENTS = 255
+
+const curve = curves.secp256k1
+
+const toPublicKey = (recipient) => {
+  const publicKey = recipient?.publicKey ?? recipient
+  if (typeof publicKey === 'string') {
+    return fromString(publicKey, 'base16')
+  }
+  if (publicKey?.subarray) {
+    return publicKey
+  }
+  throw new InvalidInputError('recipients must be identities or public keys')
+}
+
+const encodeRecipients = (slots) => {
+  return concat([Uint8Array.from([VERSION, slots.length]), ...slots.flatMap(({ ephemeralPublicKey, wrappedKey }) => [ephemeralPublicKey, wrappedKey])])
+}
+
+const decodeRecipients = (bytes) => {
+  if (bytes.length < 2) {
+    throw new TruncatedCiphertextError('Ciphertext is truncated')
+  }
+  if (bytes[0] !== VERSION) {
+    throw new UnsupportedFormatError(`Unsupported identity encryption version ${bytes[0]}`)
+  }
+  const end = 2 + bytes[1] * SLOT_LENGTH
+  if (bytes.length < end) {
+    throw new TruncatedCiphertextError('Ciphertext is truncated')
+  }
+  const slots = []
+  for (let offset = 2; offset < end; offset += SLOT_LENGTH) {
+    slots.push({
+      ephemeralPublicKey: bytes.subarray(offset, offset + PUBLIC_KEY_LENGTH),
+      wrappedKey: bytes.subarray(offset + PUBLIC_KEY_LENGTH, offset + SLOT_LENGTH)
+    })
+  }
+  return { recipients: bytes.subarray(0, end), slots, ciphertext: bytes.subarray(end) }
+}
+
+/**
+ * Creates an encryption object for the identities of a database.
+ *
+ * @param {Object} options
+ * @param {Object} options.identity The identity that encrypts and decrypts,
+ * eg. `orbitdb.identity`. It is always a recipient.
+ * @param {Object} options.keystore The keystore holding the identity's private
+ * key, eg. `orbitdb.keystore`
+ * @param {Array<Object|string|Uint8Array>} [options.recipients] The identities,
+ * or their public keys, that can decrypt the values
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ */
+const IdentityEncryption = async ({ identity, keystore, recipients = [] } = {}) => {
+  if (!identity?.id || !identity.publicKey) {
+    throw new InvalidInputError('identity must be an OrbitDB identity')
+  }
+  if (!keystore?.getKey) {
+    throw new InvalidInputError('keystore must be an OrbitDB keystore')
+  }
+  if (!Array.isArray(recipients)) {
+    throw new InvalidInputError('recipients must be identities or public keys')
+  }
+
+  const key = await keystore.getKey(identity.id)
+  if (!key) {
+    throw new InvalidInputError(`No private key for identity ${identity.id} in the keystore`)
+  }
+  const privateKey = key.raw
+
+  const publicKeys = new Map()
+  for (const recipient of [identity, ...recipients]) {
+    const publicKey = toPublicKey(recipient)
+    publicKeys.set(toString(publicKey, 'base16'), publicKey)
+  }
+  if (publicKeys.size > MAX_RECIPIENTS) {
+    throw new InvalidInputError(`Can't encrypt for more than ${MAX_RECIPIENTS} recipients`)
+  }
+
+  const dataKey = getCrypto().getRandomValues(new Uint8Array(32))
+  const slots = await Promise.all([...publicKeys.values()].map(publicKey => wrapKey(dataKey, publicKey, curve)))
+  const header = encodeRecipients(slots)
+  const encryption = AESKey({ key: await importKey(dataKey) })
+
+  // Data keys of other writers, by their recipients block
+  const decryptions = new Map([[toString(header, 'base64'), encryption]])
+
+  const decryptionFor = async (recipients, slots) => {
+    const id = toString(recipients, 'base64')
+    if (!decryptions.has(id)) {
+      let dataKey
+      for (const slot of slots) {
+        try {
+          dataKey = await unwrapKey(slot, privateKey, curve)
+          break
+        } catch (e) {
+          // Wrapped for another recipient
+        }
+      }
+      if (!dataKey) {
+        throw new WrongKeyError('Ciphertext was not encrypted for this identity')
+      }
+      decryptions.set(id, AESKey({ key: await importKey(dataKey) }))
+    }
+    return decryptions.get(id)
+  }
+
+  /**
+   * Encrypts the data for every recipient. The optional `associatedData` is
+   * authenticated along with the data.
+   */
+  const encrypt = async (data, { associatedData = new Uint8Array(0) } = {}) => {
+    if (!data?.subarray) {
+      throw new InvalidInputError('Data to encrypt must be a TypedArray')
+    }
+    const ciphertext = await encryption.encrypt(data, { associatedData: concat([header, associatedData]) })
+    return concat([header, ciphertext])
+  }
+
+  /**
+   * Decrypts data that was encrypted for this identity.
+   */
+  const decrypt = async (data, { associatedData = new Uint8Array(0) } = {}) => {
+    if (!data?.subarray) {
+      throw new InvalidInputError('Data to decrypt must be a TypedArray')
+    }
+    const { recipients, slots, ciphertext } = decodeRecipients(data)
+    const decryption = await decryptionFor(recipients, slots)
+    return decryption.decrypt(ciphertext, { associatedData: concat([recipients, associatedData]) })
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    ivInterval: encryption.ivInterval
+  }
+}
+
+export default IdentityEncryption
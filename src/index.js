@@ -1,108 +1,170 @@
 /**
  * @description
  * Password encryption module encrypts data using AES-GCM PBKDF2.
+ * Keys can also be derived with scrypt or Argon2id, or be given directly.
  */
 
 import { AES } from './aes-gcm-pbkdf2.js'
+import { AESKey, importKey } from './aes-gcm-key.js'
+import { encodeAssociatedData } from './format.js'
+import { fromString } from 'uint8arrays/from-string'
+import { InvalidInputError } from './errors.js'
+import { checkPassword } from './password-policy.js'
+import { resolvePadding } from './padding.js'
+import { resolveCompression } from './compression.js'
+import WorkerPool from './worker-pool.js'
 
-const SimpleEncryption = async ({ password }) => {
-  if (password == null || (typeof password !== 'string' && !password.subarray)) {
-    throw new Error('password must be a String or a TypedArray')
+const isBytesOrString = (value) => typeof value === 'string' || value?.subarray != null
+
+const toBytes = (value) => typeof value === 'string' ? fromString(value) : value
+
+/**
+ * Creates an encryption object for OrbitDB's `encryption.data` and
+ * `encryption.replication` options.
+ *
+ * Either a `password` or a `key` has to be given. With a `key`, data is
+ * encrypted with it directly and no key derivation takes place.
+ *
+ * @param {Object} options
+ * @param {string|Uint8Array} [options.password] The password to derive keys from
+ * @param {Uint8Array|Object|CryptoKey} [options.key] A 128 or 256-bit AES key
+ * as raw bytes, a JWK or an AES-GCM CryptoKey, which may be non-extractable
+ * @param {Object} [options.kdf] Key derivation function used for new
+ * ciphertexts, eg. `{ name: 'pbkdf2', iterations: 600000 }`,
+ * `{ name: 'scrypt', N: 131072, r: 8, p: 1 }` or
+ * `{ name: 'argon2id', memory: 19456, iterations: 2, parallelism: 1 }`.
+ * Defaults to PBKDF2-SHA256 with 32767 iterations.
+ * @param {number} [options.keyLength=128] AES key length in bits, 128 or 256
+ * @param {string|Uint8Array} [options.associatedData] Context every value is
+ * bound to, eg. the database address. Values only decrypt with the same
+ * associated data they were encrypted with.
+ * @param {string} [options.keyId] Id recorded in every ciphertext, so that
+ * a Keyring can tell which key to decrypt it with, at most 255 bytes long
+ * @param {number} [options.keyCacheSize=64] Maximum number of keys derived
+ * for decryption that are cached, eg. one per peer writing to a database
+ * @param {Object} [options.padding] Pads values before they are encrypted to
+ * hide their exact length, `{ name: 'padme' }`, `{ name: 'pow2' }` or
+ * `{ name: 'block', size: 256 }`. Padded values are readable by every
+ * instance, with or without padding.
+ * @param {Object} [options.compression] Compresses values before they are
+ * encrypted, `{ name: 'deflate' }` or `{ name: 'gzip' }`. Values that don't
+ * get smaller are stored uncompressed.
+ * @param {Object} [options.policy] Password policy the password has to meet,
+ * eg. `{ minLength: 12, minEntropy: 60 }`, see `checkPassword`. Throws a
+ * WeakPasswordError if it doesn't.
+ * @param {number} [options.workers] Encrypts and decrypts in a pool of this
+ * many Web Workers or worker_threads instead of on the main thread
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions.
+ * Both take an optional `{ associatedData }` second argument to bind a single
+ * value to additional context, eg. an entry id. With a password, `keyCache`
+ * reports the cache's hits and misses via `keyCache.stats()`. With `workers`,
+ * `close` stops the workers.
+ */
+const SimpleEncryption = async ({ password, key, kdf, keyLength, associatedData: context, keyId, keyCacheSize, padding, compression, policy, workers }) => {
+  if (key != null && password != null) {
+    throw new InvalidInputError('Provide either a password or a key, not both')
+  }
+  if (key == null && (password == null || (typeof password !== 'string' && !password.subarray))) {
+    throw new InvalidInputError('password must be a String or a TypedArray')
+  }
+  if (context != null && !isBytesOrString(context)) {
+    throw new InvalidInputError('associatedData must be a String or a TypedArray')
+  }
+  if (keyId != null && (typeof keyId !== 'string' || keyId.length === 0)) {
+    throw new InvalidInputError('keyId must be a non-empty String')
+  }
+  const keyIdBytes = keyId != null ? fromString(keyId) : undefined
+  // The header records the length of the key id in a single byte
+  if (keyIdBytes?.length > 255) {
+    throw new InvalidInputError('keyId must be at most 255 bytes long')
+  }
+  if (password != null && policy != null) {
+    checkPassword(password, policy)
+  }
+
+  const paddingScheme = padding != null ? resolvePadding(padding) : undefined
+  const compressionScheme = compression != null ? resolveCompression(compression) : undefined
+
+  if (workers != null) {
+    const options = { password, key, kdf, keyLength, associatedData: context, keyId, keyCacheSize, padding, compression }
+    return WorkerPool({ size: workers, options })
   }
 
-  const aes = AES()
+  const aes = key != null
+    ? AESKey({ key: await importKey(key), keyId: keyIdBytes })
+    : AES({ kdf, keyLength, keyId: keyIdBytes, keyCacheSize })
 
   let count = 0
 
-  const encrypt = (value) => {
+  const toOptions = ({ associatedData } = {}) => {
+    if (associatedData != null && !isBytesOrString(associatedData)) {
+      throw new InvalidInputError('associatedData must be a String or a TypedArray')
+    }
+    if (context == null && associatedData == null) {
+      return {}
+    }
+    return { associatedData: encodeAssociatedData([toBytes(context), toBytes(associatedData)]) }
+  }
+
+  const encrypt = async (value, options) => {
     if (!value?.subarray) {
-      throw new Error('Data to encrypt must be a TypedArray')
+      throw new InvalidInputError('Data to encrypt must be a TypedArray')
     }
-    return aes.encrypt(value, password, count++)
+    const aesOptions = { ...toOptions(options), padding: paddingScheme?.id }
+    if (compressionScheme) {
+      const compressed = await compressionScheme.compress(value)
+      // Values that don't get smaller are stored uncompressed
+      if (compressed.length < value.length) {
+        value = compressed
+        aesOptions.compression = compressionScheme.id
+      }
+    }
+    if (paddingScheme) {
+      value = paddingScheme.pad(value)
+    }
+    return key != null
+      ? aes.encrypt(value, aesOptions)
+      : aes.encrypt(value, password, count++, aesOptions)
   }
 
-  const decrypt = (value) => {
+  const decrypt = (value, options) => {
     if (!value?.subarray) {
-      throw new Error('Data to decrypt must be a TypedArray')
+      throw new InvalidInputError('Data to decrypt must be a TypedArray')
     }
-    return aes.decrypt(value, password)
+    return key != null
+      ? aes.decrypt(value, toOptions(options))
+      : aes.decrypt(value, password, toOptions(options))
   }
 
   return {
     encrypt,
     decrypt,
-    ivInterval: aes.ivInterval
-  }
-}
-
-/**
- * Detects if an OrbitDB database is encrypted when it has been opened
- * **without** any encryption options.
- *
- * Detection is based on two behaviors:
- * - For **data-only encryption**, `db.all()` succeeds but returns entries
- *   whose `value` is `undefined`, indicating encrypted payloads cannot be read.
- * - For **replication+data encryption**, calling `db.all()` may throw a
- *   `TypeError` when OrbitDB tries to read `entry.value` from undecryptable
- *   entries; this is treated as "encrypted".
- *
- * **LIMITATIONS**
- * - Empty databases return `false` because they are indistinguishable from
- *   encrypted databases whose log/entries also appear empty.
- * - This function is intentionally conservative: unexpected errors are treated
- *   as "not encrypted" to avoid false positives.
- *
- * @param {Object} db - OrbitDB database instance (opened without encryption options)
- * @returns {Promise<boolean>} - true if database appears to be encrypted, false otherwise
- *
- * @example
- * const db = await orbitdb.open(address, {})
- * const isEncrypted = await isDatabaseEncrypted(db)
- * if (isEncrypted) {
- *   // Show password modal
- * }
- */
-const isDatabaseEncrypted = async (db) => {
-  try {
-    let all
-
-    try {
-      all = await db.all()
-    } catch (error) {
-      const msg = error?.message || ''
-
-      // When opening an encrypted DB without encryption options, OrbitDB may throw
-      // a TypeError like: "Cannot read properties of undefined (reading 'value')"
-      // when trying to access entry.value on an undecryptable entry.
-      if (error instanceof TypeError && /reading 'value'/.test(msg)) {
-        return true
-      }
-
-      // For any other unexpected error, treat as not encrypted to avoid false positives.
-      return false
-    }
-    
-    // If database is empty, we can't tell if it's encrypted or just empty
-    // This is especially true for replication encryption where log entries
-    // themselves are encrypted, making encrypted DBs appear empty
-    if (all.length === 0) {
-      return false  // Could be empty OR encrypted with replication encryption
-    }
-    
-    // If entries exist but values are undefined, database is encrypted (data-only)
-    // Encrypted databases (data-only): entries have hashes but values are undefined
-    // Unencrypted databases: entries have hashes AND readable values
-    const hasEntriesWithUndefinedValues = all.every(entry => 
-      entry.hash !== undefined && entry.value === undefined
-    )
-    
-    return hasEntriesWithUndefinedValues
-  } catch (error) {
-    // Any unexpected error reaching here is treated as not encrypted
-    // to avoid misclassifying infrastructure issues as encryption.
-    return false
+    keyId,
+    ivInterval: aes.ivInterval,
+    keyCache: aes.keyCache
   }
 }
 
 export default SimpleEncryption
-export { isDatabaseEncrypted }
+export { detectEncryption, encryptionMeta, isDatabaseEncrypted, verifyPassword } from './detect.js'
+export {
+  EncryptionError,
+  InvalidInputError,
+  AuthenticationFailedError,
+  UnsupportedFormatError,
+  TruncatedCiphertextError,
+  WrongKeyError,
+  WeakPasswordError
+} from './errors.js'
+export { reencryptDatabase, rotatePassword } from './reencrypt.js'
+export { default as Keyring } from './keyring.js'
+export { default as EnvelopeEncryption, generateKeyPair, createEnvelope, grantAccess, revokeAccess } from './envelope.js'
+export { default as IdentityEncryption } from './identity.js'
+export { encryptStream, decryptStream } from './stream.js'
+export { default as EncryptedBlockstore } from './blockstore.js'
+export { default as EncryptedStorage } from './storage.js'
+export { default as DeterministicEncryption } from './deterministic.js'
+export { default as FieldEncryption } from './fields.js'
+export { estimatePasswordStrength, checkPassword } from './password-policy.js'
+export { default as RecoverableEncryption, createRecovery, recoverWithPhrase } from './recovery.js'
+export { splitKey, combineShares } from './secret-sharing.js'
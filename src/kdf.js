@@ -0,0 +1,105 @@
+/**
+ * @description
+ * Key derivation functions that turn a password into an AES key.
+ *
+ * PBKDF2 is computed by WebCrypto, scrypt and Argon2id are memory-hard and
+ * computed in pure JavaScript.
+ */
+
+import { scryptAsync } from '@noble/hashes/scrypt.js'
+import { argon2idAsync } from '@noble/hashes/argon2.js'
+import {
+  KDFs,
+  encodePBKDF2Params,
+  decodePBKDF2Params,
+  encodeScryptParams,
+  decodeScryptParams,
+  encodeArgon2idParams,
+  decodeArgon2idParams
+} from './format.js'
+import { InvalidInputError, UnsupportedFormatError } from './errors.js'
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0 && value <= 0xffffffff
+
+// Upper bound for the memory a key derivation may use, in bytes. Keys are
+// derived before the ciphertext is authenticated, so a crafted header could
+// otherwise make a reader allocate gigabytes.
+const MAX_MEMORY = 256 * 1024 * 1024
+
+const pbkdf2 = {
+  name: 'pbkdf2',
+  id: KDFs.PBKDF2_SHA256,
+  defaults: { iterations: 32767 },
+  // Upper bounds for parameters read from a ciphertext, so that a crafted
+  // ciphertext can't make a reader spend unbounded time deriving a key.
+  limits: { iterations: 10000000 },
+  encodeParams: encodePBKDF2Params,
+  decodeParams: decodePBKDF2Params,
+  validate: ({ iterations }) => isPositiveInteger(iterations)
+}
+
+const scrypt = {
+  name: 'scrypt',
+  id: KDFs.SCRYPT,
+  defaults: { N: 2 ** 17, r: 8, p: 1 },
+  limits: { N: 2 ** 20, r: 16, p: 16 },
+  memory: ({ N, r, p }) => 128 * N * r * p,
+  encodeParams: encodeScryptParams,
+  decodeParams: decodeScryptParams,
+  validate: ({ N, r, p }) => isPositiveInteger(N) && N > 1 && (N & (N - 1)) === 0 && isPositiveInteger(r) && isPositiveInteger(p),
+  // scrypt also needs a block of 128 * r bytes for each of the p lanes
+  deriveBits: (password, salt, { N, r, p }, length) => scryptAsync(password, salt, { N, r, p, dkLen: length / 8, maxmem: MAX_MEMORY + 128 * r * p })
+}
+
+const argon2id = {
+  name: 'argon2id',
+  id: KDFs.ARGON2ID,
+  // memory is in KiB
+  defaults: { memory: 19456, iterations: 2, parallelism: 1 },
+  limits: { memory: MAX_MEMORY / 1024, iterations: 8, parallelism: 16 },
+  memory: ({ memory }) => memory * 1024,
+  encodeParams: encodeArgon2idParams,
+  decodeParams: decodeArgon2idParams,
+  validate: ({ memory, iterations, parallelism }) => isPositiveInteger(memory) && isPositiveInteger(iterations) && isPositiveInteger(parallelism) && memory >= 8 * parallelism,
+  deriveBits: (password, salt, { memory, iterations, parallelism }, length) => argon2idAsync(password, salt, { m: memory, t: iterations, p: parallelism, dkLen: length / 8 })
+}
+
+const kdfs = [pbkdf2, scrypt, argon2id]
+
+const exceedsLimits = (kdf, params) => Object.entries(kdf.limits).some(([key, limit]) => params[key] > limit) || kdf.memory?.(params) > MAX_MEMORY
+
+/**
+ * Resolves the `kdf` option of SimpleEncryption, filling in the defaults
+ * for parameters that were not given.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name=pbkdf2] pbkdf2, scrypt or argon2id
+ * @returns {Object} The key derivation function and its `params`
+ */
+export const resolveKdf = ({ name = 'pbkdf2', ...params } = {}) => {
+  const kdf = kdfs.find(kdf => kdf.name === name)
+  if (!kdf) {
+    throw new InvalidInputError(`Unsupported key derivation function ${name}`)
+  }
+  params = { ...kdf.defaults, ...params }
+  if (!kdf.validate(params) || exceedsLimits(kdf, params)) {
+    throw new InvalidInputError(`Invalid ${name} parameters`)
+  }
+  return { kdf, params }
+}
+
+/**
+ * Looks up a key derivation function by the id recorded in a ciphertext
+ * and decodes its parameters.
+ */
+export const decodeKdf = (id, bytes) => {
+  const kdf = kdfs.find(kdf => kdf.id === id)
+  if (!kdf) {
+    throw new UnsupportedFormatError(`Unsupported key derivation function ${id}`)
+  }
+  const params = kdf.decodeParams(bytes)
+  if (!kdf.validate(params) || exceedsLimits(kdf, params)) {
+    throw new UnsupportedFormatError(`Invalid ${kdf.name} parameters`)
+  }
+  return { kdf, params }
+}
@@ -0,0 +1,74 @@
+/**
+ * @description
+ * A bounded least-recently-used cache of derived keys.
+ *
+ * Every peer encrypts with a key derived from its own salt, so decrypting a
+ * log written by several peers needs several keys. Deriving a key is slow on
+ * purpose, so the keys are cached by salt and key derivation parameters.
+ * The cache holds promises, so concurrent calls share a derivation that is
+ * still in flight. Failed derivations are not cached.
+ */
+
+import { InvalidInputError } from './errors.js'
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=64] Maximum number of cached keys
+ */
+export const KeyCache = ({ maxSize = 64 } = {}) => {
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new InvalidInputError('keyCacheSize must be a positive integer')
+  }
+
+  // Maps keep their insertion order, the first entry is the least recently used
+  const entries = new Map()
+
+  let hits = 0
+  let misses = 0
+
+  /**
+   * Returns the cached key for the id, or derives and caches it.
+   *
+   * @param {string} id Identifies the salt and the key derivation parameters
+   * @param {Function} derive Returns a promise of the key
+   * @returns {Promise<CryptoKey>}
+   */
+  const get = (id, derive) => {
+    if (entries.has(id)) {
+      hits++
+      const key = entries.get(id)
+      entries.delete(id)
+      entries.set(id, key)
+      return key
+    }
+
+    misses++
+    const key = derive()
+    entries.set(id, key)
+    key.catch(() => {
+      if (entries.get(id) === key) {
+        entries.delete(id)
+      }
+    })
+    if (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value)
+    }
+    return key
+  }
+
+  /**
+   * @returns {Object} The number of `hits` and `misses`, and the number of
+   * cached keys (`size`) out of `maxSize`
+   */
+  const stats = () => ({ hits, misses, size: entries.size, maxSize })
+
+  const clear = () => {
+    entries.clear()
+  }
+
+  return {
+    get,
+    stats,
+    clear
+  }
+}
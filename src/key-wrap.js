@@ -0,0 +1,76 @@
+/**
+ * @description
+ * Wraps data encryption keys for a recipient's public key.
+ *
+ * A fresh ephemeral key pair is generated for every wrapped key. The shared
+ * secret of the ephemeral private key and the recipient's public key is fed
+ * through HKDF-SHA256 to derive a key encryption key, which wraps the data
+ * key with AES-KW.
+ */
+
+import { x25519 } from '@noble/curves/ed25519.js'
+import { secp256k1 } from '@noble/curves/secp256k1.js'
+import { hkdf } from '@noble/hashes/hkdf.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { concat } from 'uint8arrays/concat'
+import { fromString } from 'uint8arrays/from-string'
+import { getCrypto } from './webcrypto.js'
+
+export const curves = {
+  x25519: {
+    randomPrivateKey: () => x25519.utils.randomSecretKey(),
+    getPublicKey: (privateKey) => x25519.getPublicKey(privateKey),
+    getSharedSecret: (privateKey, publicKey) => x25519.getSharedSecret(privateKey, publicKey)
+  },
+  secp256k1: {
+    randomPrivateKey: () => secp256k1.utils.randomSecretKey(),
+    getPublicKey: (privateKey) => secp256k1.getPublicKey(privateKey, true),
+    // The x-coordinate of the shared point
+    getSharedSecret: (privateKey, publicKey) => secp256k1.getSharedSecret(privateKey, publicKey, true).subarray(1)
+  }
+}
+
+const info = fromString('orbitdb-simple-encryption/key-wrap/v1')
+
+const deriveWrappingKey = async (sharedSecret, ephemeralPublicKey, recipientPublicKey) => {
+  const crypto = getCrypto()
+  const rawKey = hkdf(sha256, sharedSecret, concat([ephemeralPublicKey, recipientPublicKey]), info, 32)
+  return await crypto.subtle.importKey('raw', rawKey, { name: 'AES-KW' }, false, ['wrapKey', 'unwrapKey'])
+}
+
+/**
+ * Wraps a raw data key for a recipient.
+ *
+ * @param {Uint8Array} dataKey The raw data key, 16 or 32 bytes
+ * @param {Uint8Array} recipientPublicKey The recipient's public key
+ * @param {Object} curve One of `curves`
+ * @returns {Promise<Object>} The `ephemeralPublicKey` and the `wrappedKey`
+ */
+export const wrapKey = async (dataKey, recipientPublicKey, curve) => {
+  const crypto = getCrypto()
+  const ephemeralPrivateKey = curve.randomPrivateKey()
+  const ephemeralPublicKey = curve.getPublicKey(ephemeralPrivateKey)
+  const sharedSecret = curve.getSharedSecret(ephemeralPrivateKey, recipientPublicKey)
+  const wrappingKey = await deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey)
+  const key = await crypto.subtle.importKey('raw', dataKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+  const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-KW' }))
+  return { ephemeralPublicKey, wrappedKey }
+}
+
+/**
+ * Unwraps a data key that was wrapped for the given private key.
+ * Throws if the key was wrapped for someone else.
+ *
+ * @param {Object} wrapped The `ephemeralPublicKey` and the `wrappedKey`
+ * @param {Uint8Array} privateKey The recipient's private key
+ * @param {Object} curve One of `curves`
+ * @returns {Promise<Uint8Array>} The raw data key
+ */
+export const unwrapKey = async ({ ephemeralPublicKey, wrappedKey }, privateKey, curve) => {
+  const crypto = getCrypto()
+  const publicKey = curve.getPublicKey(privateKey)
+  const sharedSecret = curve.getSharedSecret(privateKey, ephemeralPublicKey)
+  const wrappingKey = await deriveWrappingKey(sharedSecret, ephemeralPublicKey, publicKey)
+  const key = await crypto.subtle.unwrapKey('raw', wrappedKey, wrappingKey, { name: 'AES-KW' }, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+  return new Uint8Array(await crypto.subtle.exportKey('raw', key))
+}
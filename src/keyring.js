@@ -0,0 +1,112 @@
+/**
+ * @description
+ * A keyring of passwords and keys for changing keys gradually.
+ *
+ * Values are encrypted with the active key and tagged with its id. Values
+ * are decrypted with the key whose id they are tagged with, so peers can keep
+ * reading entries written with previous keys while new entries use the new one.
+ */
+
+import { toString } from 'uint8arrays/to-string'
+import SimpleEncryption from './index.js'
+import { hasHeader, decodeHeader } from './format.js'
+import { InvalidInputError, WrongKeyError } from './errors.js'
+
+// Returns the key id a ciphertext is tagged with, if any
+const readKeyId = (value) => {
+  if (!hasHeader(value)) {
+    return
+  }
+  try {
+    const { keyId } = decodeHeader(value)
+    return keyId != null ? toString(keyId) : undefined
+  } catch {
+    // A legacy ciphertext, which is never tagged
+  }
+}
+
+/**
+ * Creates an encryption object from several passwords and keys.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.keys The keys of the keyring. Each key has an
+ * `id` and the options of SimpleEncryption, eg. `{ id: '2024', password }` or
+ * `{ id: 'kms-1', key }`.
+ * @param {string} [options.active] Id of the key new values are encrypted
+ * with. Defaults to the last key.
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ *
+ * @example
+ * const data = await Keyring({
+ *   keys: [
+ *     { id: 'old', password: 'old password' },
+ *     { id: 'new', password: 'new password' }
+ *   ],
+ *   active: 'new'
+ * })
+ */
+const Keyring = async ({ keys, active } = {}) => {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new InvalidInputError('keys must be a non-empty Array')
+  }
+
+  const encryptions = new Map()
+
+  for (const { id, ...options } of keys) {
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new InvalidInputError('Every key must have an id')
+    }
+    if (encryptions.has(id)) {
+      throw new InvalidInputError(`Duplicate key id ${id}`)
+    }
+    encryptions.set(id, await SimpleEncryption({ ...options, keyId: id }))
+  }
+
+  active = active ?? keys[keys.length - 1].id
+
+  if (!encryptions.has(active)) {
+    throw new InvalidInputError(`Unknown key id ${active}`)
+  }
+
+  const encrypt = (value, options) => {
+    return encryptions.get(active).encrypt(value, options)
+  }
+
+  const decrypt = async (value, options) => {
+    if (!value?.subarray) {
+      throw new InvalidInputError('Data to decrypt must be a TypedArray')
+    }
+
+    const keyId = readKeyId(value)
+
+    if (keyId != null) {
+      const encryption = encryptions.get(keyId)
+      if (!encryption) {
+        throw new WrongKeyError(`Unknown key id ${keyId}`)
+      }
+      return encryption.decrypt(value, options)
+    }
+
+    // Values that are not tagged, eg. written before the keyring was
+    // introduced, are tried with every key
+    let error
+    for (const encryption of encryptions.values()) {
+      try {
+        return await encryption.decrypt(value, options)
+      } catch (e) {
+        error = e
+      }
+    }
+    throw error
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    active,
+    ids: [...encryptions.keys()],
+    ivInterval: encryptions.get(active).ivInterval
+  }
+}
+
+export default Keyring
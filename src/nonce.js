@@ -0,0 +1,39 @@
+import { getCrypto } from './webcrypto.js'
+import { EncryptionError } from './errors.js'
+
+/**
+ * Generates AES-GCM nonces for a single key.
+ *
+ * Nonces are a random prefix followed by a 32-bit big-endian message counter,
+ * so no nonce is ever repeated during the lifetime of the sequence. The
+ * sequence is `exhausted` after `interval` nonces, after which a new one (and
+ * usually a new key) has to be created.
+ *
+ * @param {Object} options
+ * @param {number} options.interval Maximum number of nonces in this sequence
+ * @param {number} [options.length=12] Nonce length in bytes
+ */
+export const NonceSequence = ({ interval, length = 12 }) => {
+  const crypto = getCrypto()
+  const prefixLength = length - 4
+  const prefix = crypto.getRandomValues(new Uint8Array(prefixLength))
+
+  let counter = 0
+
+  const next = () => {
+    if (counter >= interval) {
+      throw new EncryptionError('Nonce sequence is exhausted')
+    }
+    const nonce = new Uint8Array(length)
+    nonce.set(prefix)
+    new DataView(nonce.buffer).setUint32(prefixLength, counter++)
+    return nonce
+  }
+
+  return {
+    next,
+    get exhausted () {
+      return counter >= interval
+    }
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * @description
+ * Padding schemes that hide the exact length of the plaintext.
+ *
+ * The plaintext is padded with a 0x80 byte followed by zeros (ISO/IEC
+ * 7816-4) up to the length the scheme chooses, so the padding can be removed
+ * without knowing the scheme or its parameters:
+ *
+ * - `block` pads to a multiple of `size` bytes
+ * - `pow2` pads to the next power of two
+ * - `padme` pads to Padmé lengths, which leak O(log log n) bits of the
+ *   length while adding at most 12% overhead
+ */
+
+import { Paddings } from './format.js'
+import { InvalidInputError, UnsupportedFormatError } from './errors.js'
+
+const MAX_BLOCK_SIZE = 65536
+
+// Length of the bit representation of n
+const bitLength = (n) => 32 - Math.clz32(n)
+
+const block = ({ size = 256 }) => {
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BLOCK_SIZE) {
+    throw new InvalidInputError(`Padding block size must be an integer between 1 and ${MAX_BLOCK_SIZE}`)
+  }
+  return (length) => Math.ceil(length / size) * size
+}
+
+const pow2 = () => (length) => 2 ** Math.ceil(Math.log2(length))
+
+// https://lbarman.ch/blog/padme/
+const padme = () => (length) => {
+  const e = bitLength(length) - 1
+  const s = bitLength(e)
+  const mask = (1 << Math.max(e - s, 0)) - 1
+  return (length + mask) & ~mask
+}
+
+const schemes = {
+  block: { id: Paddings.BLOCK, create: block },
+  pow2: { id: Paddings.POW2, create: pow2 },
+  padme: { id: Paddings.PADME, create: padme }
+}
+
+/**
+ * Resolves the `padding` option of SimpleEncryption.
+ *
+ * @param {Object} options
+ * @param {string} options.name block, pow2 or padme
+ * @param {number} [options.size=256] Block size in bytes of the block scheme
+ * @returns {Object} The `id` of the scheme recorded in the header and a
+ * `pad` function
+ */
+export const resolvePadding = ({ name, ...params } = {}) => {
+  if (!Object.hasOwn(schemes, name ?? '')) {
+    throw new InvalidInputError(`Unsupported padding ${name}`)
+  }
+  const scheme = schemes[name]
+  const paddedLength = scheme.create(params)
+
+  const pad = (data) => {
+    // One byte more for the 0x80 marker
+    const padded = new Uint8Array(paddedLength(data.length + 1))
+    padded.set(data)
+    padded[data.length] = 0x80
+    return padded
+  }
+
+  return {
+    id: scheme.id,
+    pad
+  }
+}
+
+/**
+ * Removes the padding added by `pad`.
+ */
+export const unpad = (data) => {
+  let end = data.length - 1
+  while (end >= 0 && data[end] === 0) {
+    end--
+  }
+  if (end < 0 || data[end] !== 0x80) {
+    throw new UnsupportedFormatError('Invalid padding')
+  }
+  return data.subarray(0, end)
+}
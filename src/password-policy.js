@@ -0,0 +1,156 @@
+/**
+ * @description
+ * Password strength estimates and password policies.
+ *
+ * The estimate is a rough upper bound of the entropy of a password: every
+ * character counts with the size of the character classes the password uses,
+ * while repeated characters, runs like `abc` or `321` and well-known
+ * passwords count for little. It is meant to keep users from choosing
+ * obviously weak passwords, not to measure the strength of good ones.
+ */
+
+import { InvalidInputError, WeakPasswordError } from './errors.js'
+
+// Some of the most common passwords in public password leaks
+const commonPasswords = new Set([
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111',
+  '000000', '123123', '654321', '666666', '121212', '7777777', 'password',
+  'password1', 'passw0rd', 'qwerty', 'qwerty123', 'qwertyuiop', '1q2w3e4r',
+  'qazwsx', 'zaq12wsx', 'abc123', 'aa123456', 'iloveyou', 'admin', 'letmein',
+  'welcome', 'monkey', 'dragon', 'sunshine', 'princess', 'football',
+  'baseball', 'master', 'shadow', 'superman', 'batman', 'trustno1', 'login',
+  'starwars', 'hello', 'freedom', 'whatever', 'michael', 'charlie', 'secret'
+])
+
+const sequences = ['abcdefghijklmnopqrstuvwxyz', '0123456789', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm']
+
+const scoreThresholds = [28, 36, 60, 80]
+
+const toText = (password) => typeof password === 'string' ? password : new TextDecoder().decode(password)
+
+const normalize = (text) => text.normalize('NFKC').toLowerCase()
+
+const poolSize = (chars) => {
+  let size = 0
+  if (chars.some(c => /[a-z]/.test(c))) size += 26
+  if (chars.some(c => /[A-Z]/.test(c))) size += 26
+  if (chars.some(c => /[0-9]/.test(c))) size += 10
+  if (chars.some(c => /[ -/:-@[-`{-~]/.test(c))) size += 33
+  if (chars.some(c => c.codePointAt(0) > 0x7e)) size += 100
+  return size
+}
+
+// Whether `c` continues a run from `prev`, eg. `b` after `a` or `2` after `3`
+const continuesSequence = (prev, c) => {
+  prev = prev.toLowerCase()
+  c = c.toLowerCase()
+  return sequences.some(sequence => {
+    const i = sequence.indexOf(prev)
+    return i !== -1 && (sequence[i + 1] === c || sequence[i - 1] === c)
+  })
+}
+
+const charsEntropy = (chars, bitsPerChar) => {
+  let bits = 0
+  for (let i = 0; i < chars.length; i++) {
+    const weak = i > 0 && (chars[i] === chars[i - 1] || continuesSequence(chars[i - 1], chars[i]))
+    bits += weak ? 1 : bitsPerChar
+  }
+  return bits
+}
+
+// The longest well-known password the text contains
+const findCommonPassword = (text) => {
+  let found
+  for (const common of commonPasswords) {
+    if (common.length >= 4 && text.includes(common) && common.length > (found?.length ?? 0)) {
+      found = common
+    }
+  }
+  return found
+}
+
+/**
+ * Estimates the strength of a password.
+ *
+ * @param {string|Uint8Array} password
+ * @returns {Object} The `length` of the password in characters, its
+ * estimated `entropy` in bits, a `score` from 0 (very weak) to 4 (very
+ * strong) and whether it contains a well-known password (`common`)
+ */
+export const estimatePasswordStrength = (password) => {
+  if (typeof password !== 'string' && !password?.subarray) {
+    throw new InvalidInputError('password must be a String or a TypedArray')
+  }
+  const text = toText(password)
+  const chars = [...text]
+  const bitsPerChar = chars.length > 0 ? Math.log2(poolSize(chars)) : 0
+
+  let entropy
+  const common = findCommonPassword(normalize(text))
+  if (common) {
+    // The well-known part is as easy to guess as picking it from the list
+    const rest = [...normalize(text).replace(common, '')]
+    entropy = Math.log2(commonPasswords.size) + charsEntropy(rest, bitsPerChar)
+  } else {
+    entropy = charsEntropy(chars, bitsPerChar)
+  }
+
+  entropy = Math.floor(entropy)
+  const score = scoreThresholds.filter(threshold => entropy >= threshold).length
+
+  return {
+    length: chars.length,
+    entropy,
+    score,
+    common: common != null
+  }
+}
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0
+
+/**
+ * Checks a password against a password policy.
+ *
+ * @param {string|Uint8Array} password
+ * @param {Object} [policy]
+ * @param {number} [policy.minLength=0] Minimum length in characters
+ * @param {number} [policy.minEntropy=0] Minimum estimated entropy in bits,
+ * see `estimatePasswordStrength`
+ * @param {Array<string>} [policy.denyList=[]] Passwords that are not allowed,
+ * compared case-insensitively
+ * @param {boolean} [policy.allowEmpty=false] Whether an empty password is allowed
+ * @returns {Object} The strength of the password, see `estimatePasswordStrength`
+ * @throws {WeakPasswordError} If the password doesn't meet the policy
+ */
+export const checkPassword = (password, { minLength = 0, minEntropy = 0, denyList = [], allowEmpty = false } = {}) => {
+  if (!isNonNegativeInteger(minLength) || !isNonNegativeInteger(minEntropy) || !Array.isArray(denyList) || typeof allowEmpty !== 'boolean') {
+    throw new InvalidInputError('Invalid password policy')
+  }
+
+  const strength = estimatePasswordStrength(password)
+
+  if (strength.length === 0) {
+    if (!allowEmpty) {
+      const reasons = ['Password must not be empty']
+      throw new WeakPasswordError(reasons[0], { reasons })
+    }
+    return strength
+  }
+
+  const reasons = []
+  if (strength.length < minLength) {
+    reasons.push(`Password must be at least ${minLength} characters long`)
+  }
+  if (strength.entropy < minEntropy) {
+    reasons.push('Password is too easy to guess')
+  }
+  const text = normalize(toText(password))
+  if (denyList.some(denied => normalize(String(denied)) === text)) {
+    reasons.push('Password is not allowed')
+  }
+  if (reasons.length > 0) {
+    throw new WeakPasswordError(reasons.join('; '), { reasons })
+  }
+  return strength
+}
@@ -0,0 +1,149 @@
+/**
+ * @description
+ * Recovery of encrypted databases after the password is lost.
+ *
+ * The database is encrypted with a random data key instead of the password.
+ * The data key is encrypted twice, with the password and with a random
+ * recovery key, and both are stored in a backup, a JSON-serializable object
+ * the application stores, eg. next to the database. The recovery key is
+ * shown to the user once as a BIP-39 recovery phrase of 12 or 24 words.
+ *
+ * With the phrase, the data key can be recovered and encrypted with a new
+ * password. The database itself doesn't change.
+ */
+
+import { entropyToMnemonic, mnemonicToEntropy } from '@scure/bip39'
+import { wordlist } from '@scure/bip39/wordlists/english.js'
+import { toString } from 'uint8arrays/to-string'
+import { fromString } from 'uint8arrays/from-string'
+import SimpleEncryption from './index.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, UnsupportedFormatError } from './errors.js'
+
+const VERSION = 1
+
+// Bytes of entropy of a phrase of this many words
+const entropyLengths = { 12: 16, 24: 32 }
+
+const encode = (bytes) => toString(bytes, 'base64url')
+const decode = (string) => fromString(string, 'base64url')
+
+const randomBytes = (length) => getCrypto().getRandomValues(new Uint8Array(length))
+
+const validateBackup = (backup) => {
+  if (backup?.version !== VERSION || typeof backup.id !== 'string' || typeof backup.password !== 'string' || typeof backup.recovery !== 'string') {
+    throw new UnsupportedFormatError('Unsupported recovery backup')
+  }
+}
+
+const phraseToKey = (phrase) => {
+  if (typeof phrase !== 'string') {
+    throw new InvalidInputError('phrase must be a String')
+  }
+  const words = phrase.trim().toLowerCase().split(/\s+/).join(' ')
+  try {
+    return mnemonicToEntropy(words, wordlist)
+  } catch (e) {
+    throw new InvalidInputError('Invalid recovery phrase', { cause: e })
+  }
+}
+
+// Encrypts the data key with a password or a key. Every encrypted data key
+// is bound to its backup.
+const wrap = async (dataKey, id, options) => {
+  const encryption = await SimpleEncryption({ ...options, associatedData: id })
+  return encode(await encryption.encrypt(dataKey))
+}
+
+const unwrap = async (wrapped, id, options) => {
+  const encryption = await SimpleEncryption({ ...options, associatedData: id })
+  return encryption.decrypt(decode(wrapped))
+}
+
+/**
+ * Creates a data key, its backup and the recovery phrase to restore it.
+ *
+ * @param {Object} options
+ * @param {string|Uint8Array} options.password The password
+ * @param {number} [options.words=12] Number of words of the recovery phrase,
+ * 12 or 24
+ * @param {Object} [options.kdf] Key derivation function for the password,
+ * see SimpleEncryption
+ * @param {Object} [options.policy] Password policy the password has to meet,
+ * see `checkPassword`
+ * @returns {Promise<Object>} The `encryption` for the database, the `backup`
+ * to store and the recovery `phrase` to show to the user
+ */
+const createRecovery = async ({ password, words = 12, kdf, policy } = {}) => {
+  if (!Object.hasOwn(entropyLengths, words)) {
+    throw new InvalidInputError('words must be 12 or 24')
+  }
+
+  const dataKey = randomBytes(32)
+  const recoveryKey = randomBytes(entropyLengths[words])
+  const id = encode(randomBytes(9))
+
+  const backup = {
+    version: VERSION,
+    id,
+    password: await wrap(dataKey, id, { password, kdf, policy }),
+    recovery: await wrap(dataKey, id, { key: recoveryKey })
+  }
+
+  return {
+    encryption: await SimpleEncryption({ key: dataKey }),
+    backup,
+    phrase: entropyToMnemonic(recoveryKey, wordlist)
+  }
+}
+
+/**
+ * Creates an encryption object for a database with a backup, using the
+ * password.
+ *
+ * @param {Object} options
+ * @param {Object} options.backup The backup
+ * @param {string|Uint8Array} options.password The password
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ * @throws {AuthenticationFailedError} If the password is wrong
+ */
+const RecoverableEncryption = async ({ backup, password } = {}) => {
+  validateBackup(backup)
+
+  const dataKey = await unwrap(backup.password, backup.id, { password })
+
+  return SimpleEncryption({ key: dataKey })
+}
+
+/**
+ * Recovers the data key of a backup with the recovery phrase, eg. after the
+ * password was lost, and encrypts it with a new password.
+ *
+ * @param {string} phrase The recovery phrase
+ * @param {Object} options
+ * @param {Object} options.backup The backup
+ * @param {string|Uint8Array} [options.password] The new password. The backup
+ * is returned unchanged without one.
+ * @param {Object} [options.kdf] Key derivation function for the new password
+ * @param {Object} [options.policy] Password policy the new password has to meet
+ * @returns {Promise<Object>} The `encryption` for the database and the
+ * updated `backup`, which replaces the previous one
+ * @throws {AuthenticationFailedError} If the phrase doesn't belong to the backup
+ */
+const recoverWithPhrase = async (phrase, { backup, password, kdf, policy } = {}) => {
+  validateBackup(backup)
+
+  const dataKey = await unwrap(backup.recovery, backup.id, { key: phraseToKey(phrase) })
+
+  if (password != null) {
+    backup = { ...backup, password: await wrap(dataKey, backup.id, { password, kdf, policy }) }
+  }
+
+  return {
+    encryption: await SimpleEncryption({ key: dataKey }),
+    backup
+  }
+}
+
+export default RecoverableEncryption
+export { createRecovery, recoverWithPhrase }
@@ -0,0 +1,176 @@
+/**
+ * @description
+ * Re-encrypts an OrbitDB database with a new encryption configuration, eg.
+ * to change its password.
+ *
+ * The encryption configuration is not part of a database's address, so the
+ * entries are copied into a new database whose manifest records the address
+ * it was re-encrypted from and when. The new database keeps the name and the
+ * type of the original one. Check values created with `encryptionMeta` are replaced
+ * with ones of the new encryption.
+ */
+
+import SimpleEncryption from './index.js'
+import { detectEncryption, encryptionMeta } from './detect.js'
+import { InvalidInputError, AuthenticationFailedError, UnsupportedFormatError } from './errors.js'
+
+const copiers = {
+  events: {
+    read: async (db) => db.all(),
+    write: async (db, { value }) => db.add(value)
+  },
+  keyvalue: {
+    read: async (db) => db.all(),
+    write: async (db, { key, value }) => db.put(key, value)
+  },
+  documents: {
+    read: async (db) => db.all(),
+    write: async (db, { value }) => db.put(value)
+  }
+}
+
+const couldNotDecrypt = 'Could not decrypt the database with the given encryption'
+
+const serialize = ({ key, value }) => JSON.stringify({ key, value })
+
+// Drops and closes a new database that failed to be copied to
+const discard = async (db) => {
+  await db.drop()
+  await db.close()
+}
+
+/**
+ * Reads every entry of a database with the `from` encryption and writes
+ * them into a new database encrypted with `to`. The new database is verified
+ * to hold the same entries as the original one before it is returned.
+ *
+ * The original database must not be open when calling this function. It is
+ * closed, but not dropped, when done.
+ *
+ * @param {Object} orbitdb An OrbitDB instance
+ * @param {string} address The address of the database to re-encrypt
+ * @param {Object} options
+ * @param {Object} options.from The current encryption, `{ data, replication }`
+ * @param {Object} options.to The new encryption, `{ data, replication }`
+ * @param {Function} [options.onProgress] Called with `{ copied, total }` after
+ * every copied entry
+ * @param {Object} [options.open] Additional options for opening the new
+ * database, eg. `AccessController` or `Database`. The new database uses
+ * OrbitDB's default access controller unless given.
+ * @returns {Promise<Object>} The new database, opened with the `to` encryption
+ * @throws {AuthenticationFailedError} If the database can't be decrypted
+ * with `from`
+ * @throws {InvalidInputError} If the new database already has entries
+ * @throws {UnsupportedFormatError} If the database type is not supported,
+ * OrbitDB doesn't encrypt databases of the type, eg. documents databases in
+ * OrbitDB 3.0.2, or the new database doesn't match the original one. The new
+ * database is dropped.
+ */
+const reencryptDatabase = async (orbitdb, address, { from, to, onProgress, open = {} } = {}) => {
+  if (from == null || to == null) {
+    throw new InvalidInputError('Both from and to encryption must be given')
+  }
+
+  const source = await orbitdb.open(address, { encryption: from })
+
+  const copier = copiers[source.type]
+  if (!copier) {
+    await source.close()
+    throw new UnsupportedFormatError(`Unsupported database type ${source.type}`)
+  }
+
+  let entries
+  try {
+    entries = await copier.read(source)
+  } catch (e) {
+    throw new AuthenticationFailedError(couldNotDecrypt, { cause: e })
+  } finally {
+    await source.close()
+  }
+
+  // Payloads that can't be decrypted are read as undefined values
+  if (entries.some(entry => entry.value === undefined)) {
+    throw new AuthenticationFailedError(couldNotDecrypt)
+  }
+
+  // Every run creates a new database, so that a retry doesn't append to the
+  // copy of a failed one. Check values of the old encryption would verify
+  // the old password.
+  const meta = { ...source.meta, reencryptedFrom: source.address, reencryptedAt: new Date().toISOString() }
+  if (source.meta?.encryption) {
+    Object.assign(meta, await encryptionMeta(to))
+  }
+
+  const target = await orbitdb.open(source.name, {
+    ...open,
+    type: source.type,
+    meta,
+    encryption: to
+  })
+
+  if ((await target.log.heads()).length > 0) {
+    await target.close()
+    throw new InvalidInputError(`The database ${target.address} to re-encrypt into already has entries`)
+  }
+
+  const total = entries.length
+  let copied = 0
+
+  for (const entry of entries) {
+    await copier.write(target, entry)
+    copied++
+    if (onProgress) {
+      onProgress({ copied, total })
+    }
+  }
+
+  // Database types that don't pass the encryption on to their log, eg.
+  // documents in OrbitDB 3.0.2, would store the copy in plaintext
+  if (total > 0) {
+    const detected = await detectEncryption(target)
+    if ((to.data != null && !detected.data) || (to.replication != null && !detected.replication)) {
+      await discard(target)
+      throw new UnsupportedFormatError(`The ${source.type} database was not encrypted, this version of OrbitDB does not support encrypting ${source.type} databases`)
+    }
+  }
+
+  const expected = entries.map(serialize).sort()
+  const actual = (await copier.read(target)).map(serialize).sort()
+
+  if (actual.length !== expected.length || actual.some((entry, i) => entry !== expected[i])) {
+    await discard(target)
+    throw new UnsupportedFormatError('Re-encrypted database does not match the original database')
+  }
+
+  return target
+}
+
+/**
+ * Changes the password of a database encrypted with SimpleEncryption.
+ * See `reencryptDatabase`.
+ *
+ * @param {Object} orbitdb An OrbitDB instance
+ * @param {string} address The address of the database
+ * @param {Object} options
+ * @param {string|Uint8Array} options.from The current password
+ * @param {string|Uint8Array} options.to The new password
+ * @param {boolean} [options.data=true] Whether the payloads are encrypted
+ * @param {boolean} [options.replication=true] Whether the log entries are encrypted
+ * @param {Function} [options.onProgress] See `reencryptDatabase`
+ * @param {Object} [options.open] See `reencryptDatabase`
+ * @returns {Promise<Object>} The new database, opened with the new password
+ */
+const rotatePassword = async (orbitdb, address, { from, to, data = true, replication = true, ...options } = {}) => {
+  const encryptionFor = async (password) => ({
+    data: data ? await SimpleEncryption({ password }) : undefined,
+    replication: replication ? await SimpleEncryption({ password }) : undefined
+  })
+
+  return reencryptDatabase(orbitdb, address, {
+    ...options,
+    from: await encryptionFor(from),
+    to: await encryptionFor(to)
+  })
+}
+
+export { reencryptDatabase, rotatePassword }
@@ -0,0 +1,230 @@
+/**
+ * @description
+ * Shamir secret sharing of encryption keys, so that any `threshold` of
+ * `shares` holders, eg. 3 of 5 admins, can restore a key together while
+ * fewer learn nothing about it.
+ *
+ * Every byte of the key is the constant term of a random polynomial over
+ * GF(256) of degree `threshold - 1`. Each share holds the values of the
+ * polynomials at its own x coordinate, the threshold, the fingerprint of the
+ * key, an optional key id and a checksum. The checksum detects corrupted
+ * shares, the fingerprint detects shares of different keys and checks the
+ * combined key.
+ *
+ * Shares are encoded as base64url strings:
+ *
+ * magic 'SK' | version | threshold | x | fingerprint(8) | keyIdLength | keyId | values | checksum(4)
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js'
+import { concat } from 'uint8arrays/concat'
+import { equals } from 'uint8arrays/equals'
+import { toString } from 'uint8arrays/to-string'
+import { fromString } from 'uint8arrays/from-string'
+import { isCryptoKey } from './aes-gcm-key.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, AuthenticationFailedError, UnsupportedFormatError } from './errors.js'
+
+const MAGIC = Uint8Array.from([0x53, 0x4b]) // 'SK'
+const VERSION = 1
+const MAX_SHARES = 255
+const FINGERPRINT_LENGTH = 8
+const CHECKSUM_LENGTH = 4
+const keyLengths = [16, 32]
+
+const fingerprintInfo = fromString('orbitdb-simple-encryption/key-fingerprint/v1')
+
+// Logarithm and exponent tables of GF(256) with the AES polynomial
+// x^8 + x^4 + x^3 + x + 1 and the generator 3
+const exp = new Uint8Array(510)
+const log = new Uint8Array(256)
+for (let i = 0, x = 1; i < 255; i++) {
+  exp[i] = exp[i + 255] = x
+  log[x] = i
+  // x * 3 = x * 2 + x, reduced by the polynomial
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0)
+}
+
+const mul = (a, b) => a === 0 || b === 0 ? 0 : exp[log[a] + log[b]]
+const div = (a, b) => a === 0 ? 0 : exp[log[a] + 255 - log[b]]
+
+// Evaluates the polynomial with the coefficients, lowest first, at x
+const evaluate = (coefficients, x) => {
+  let y = 0
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    y = mul(y, x) ^ coefficients[i]
+  }
+  return y
+}
+
+// Lagrange interpolation of the points at x = 0
+const interpolate = (xs, ys) => {
+  let y = 0
+  for (let i = 0; i < xs.length; i++) {
+    let basis = 1
+    for (let j = 0; j < xs.length; j++) {
+      if (i !== j) {
+        basis = mul(basis, div(xs[j], xs[j] ^ xs[i]))
+      }
+    }
+    y ^= mul(ys[i], basis)
+  }
+  return y
+}
+
+const fingerprint = (key) => sha256(concat([fingerprintInfo, key])).subarray(0, FINGERPRINT_LENGTH)
+
+const checksum = (bytes) => sha256(bytes).subarray(0, CHECKSUM_LENGTH)
+
+const toKeyBytes = async (key) => {
+  if (isCryptoKey(key)) {
+    if (!key.extractable) {
+      throw new InvalidInputError('key must be extractable to be split')
+    }
+    key = new Uint8Array(await getCrypto().subtle.exportKey('raw', key))
+  }
+  if (!key?.subarray || !keyLengths.includes(key.length)) {
+    throw new InvalidInputError('key must be 16 or 32 bytes long')
+  }
+  return key
+}
+
+const encodeShare = ({ threshold, x, fingerprint, keyId, values }) => {
+  const body = concat([
+    MAGIC,
+    Uint8Array.from([VERSION, threshold, x]),
+    fingerprint,
+    Uint8Array.from([keyId.length]),
+    keyId,
+    values
+  ])
+  return toString(concat([body, checksum(body)]), 'base64url')
+}
+
+const decodeShare = (share, index) => {
+  const invalid = (options) => new InvalidInputError(`Share ${index + 1} is invalid`, options)
+
+  let bytes
+  try {
+    bytes = typeof share === 'string' ? fromString(share.trim(), 'base64url') : share
+  } catch (e) {
+    throw invalid({ cause: e })
+  }
+  if (!bytes?.subarray || bytes.length < 2 || bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1]) {
+    throw invalid()
+  }
+  if (bytes.length < 3 || bytes[2] !== VERSION) {
+    throw new UnsupportedFormatError(`Share ${index + 1} has an unsupported version`)
+  }
+
+  const body = bytes.subarray(0, bytes.length - CHECKSUM_LENGTH)
+  if (bytes.length < 14 + CHECKSUM_LENGTH || !equals(checksum(body), bytes.subarray(body.length))) {
+    throw invalid()
+  }
+
+  const threshold = body[3]
+  const x = body[4]
+  const fingerprint = body.subarray(5, 5 + FINGERPRINT_LENGTH)
+  const keyIdLength = body[13]
+  const keyId = body.subarray(14, 14 + keyIdLength)
+  const values = body.subarray(14 + keyIdLength)
+
+  if (x === 0 || threshold < 2 || !keyLengths.includes(values.length)) {
+    throw invalid()
+  }
+
+  return { threshold, x, fingerprint, keyId, values }
+}
+
+/**
+ * Splits a key into shares, any `threshold` of which restore the key.
+ *
+ * @param {Uint8Array|CryptoKey} key A 128 or 256-bit key as raw bytes or an
+ * extractable CryptoKey, eg. the `key` of SimpleEncryption
+ * @param {Object} options
+ * @param {number} options.shares Number of shares, at most 255
+ * @param {number} options.threshold Number of shares needed to restore the
+ * key, at least 2
+ * @param {string} [options.keyId] Id recorded in every share, eg. the id of
+ * the key in a Keyring
+ * @returns {Promise<Array<string>>} The shares
+ */
+const splitKey = async (key, { shares, threshold, keyId } = {}) => {
+  if (!Number.isInteger(shares) || shares < 2 || shares > MAX_SHARES) {
+    throw new InvalidInputError(`shares must be an integer between 2 and ${MAX_SHARES}`)
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+    throw new InvalidInputError('threshold must be an integer between 2 and shares')
+  }
+  if (keyId != null && (typeof keyId !== 'string' || keyId.length === 0)) {
+    throw new InvalidInputError('keyId must be a non-empty String')
+  }
+  const keyIdBytes = keyId != null ? fromString(keyId) : new Uint8Array(0)
+  if (keyIdBytes.length > 255) {
+    throw new InvalidInputError('keyId must be at most 255 bytes long')
+  }
+
+  const secret = await toKeyBytes(key)
+  const crypto = getCrypto()
+
+  // One polynomial per byte of the key, with the byte as its constant term
+  const polynomials = Array.from(secret, byte => {
+    const coefficients = crypto.getRandomValues(new Uint8Array(threshold))
+    coefficients[0] = byte
+    return coefficients
+  })
+
+  return Array.from({ length: shares }, (_, i) => encodeShare({
+    threshold,
+    x: i + 1,
+    fingerprint: fingerprint(secret),
+    keyId: keyIdBytes,
+    values: Uint8Array.from(polynomials, coefficients => evaluate(coefficients, i + 1))
+  }))
+}
+
+/**
+ * Restores a key from its shares.
+ *
+ * @param {Array<string>} shares At least `threshold` shares created by `splitKey`
+ * @returns {Promise<Object>} The `key` as raw bytes and its `keyId`, if it was
+ * split with one, which can be passed to SimpleEncryption as they are
+ * @throws {InvalidInputError} If a share is corrupted, the shares belong to
+ * different keys or there are not enough of them
+ * @throws {AuthenticationFailedError} If the shares don't combine to the key
+ */
+const combineShares = async (shares) => {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new InvalidInputError('shares must be a non-empty Array')
+  }
+
+  const decoded = shares.map(decodeShare)
+  const [first] = decoded
+
+  for (const share of decoded) {
+    if (share.threshold !== first.threshold || !equals(share.fingerprint, first.fingerprint) || !equals(share.keyId, first.keyId) || share.values.length !== first.values.length) {
+      throw new InvalidInputError('Shares belong to different keys')
+    }
+  }
+
+  // Copies of the same share don't count
+  const unique = [...new Map(decoded.map(share => [share.x, share])).values()]
+  if (unique.length < first.threshold) {
+    throw new InvalidInputError(`At least ${first.threshold} different shares are needed`)
+  }
+
+  const used = unique.slice(0, first.threshold)
+  const xs = used.map(share => share.x)
+  const key = Uint8Array.from(first.values, (_, i) => interpolate(xs, used.map(share => share.values[i])))
+
+  if (!equals(fingerprint(key), first.fingerprint)) {
+    throw new AuthenticationFailedError('Shares don\'t restore the key, at least one of them is wrong')
+  }
+
+  return {
+    key,
+    keyId: first.keyId.length > 0 ? toString(first.keyId) : undefined
+  }
+}
+
+export { splitKey, combineShares }
@@ -0,0 +1,116 @@
+/**
+ * @description
+ * An OrbitDB storage that encrypts values at rest.
+ *
+ * The `encryption` options of OrbitDB encrypt the entries that are
+ * replicated, but the heads and index storages on disk still hold plaintext.
+ * Wrapping a storage, eg. a LevelStorage, encrypts every value before it is
+ * written to the storage and decrypts it when it is read. Values are encoded
+ * with dag-cbor, so any value OrbitDB stores keeps its type.
+ *
+ * Keys are stored as given unless a `keyEncryption` is given. The heads and
+ * index storages of OrbitDB's log are keyed by entry hashes, but other
+ * storages can be keyed by the database's own keys, eg. the index of a
+ * custom database. A deterministic encryption, eg.
+ * DeterministicEncryption, always encrypts a key to the same ciphertext, so
+ * encrypted keys can still be looked up. Encrypted keys are not sorted like
+ * the keys, so iterating over them yields them in another order.
+ *
+ * Every value is bound to its key, so values can't be swapped between keys.
+ *
+ * KeyValueIndexed databases keep their own index in a LevelStorage that
+ * can't be wrapped, which holds their keys and decrypted entries in
+ * plaintext.
+ */
+
+import * as dagCbor from '@ipld/dag-cbor'
+import { InvalidInputError } from './errors.js'
+
+/**
+ * Creates an encrypted storage.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage The storage the encrypted values are
+ * written to, eg. a LevelStorage
+ * @param {Object} options.encryption An encryption object, eg. SimpleEncryption
+ * @param {Object} [options.keyEncryption] A deterministic encryption with
+ * `encryptString` and `decryptString` functions, eg. DeterministicEncryption,
+ * to encrypt the keys with
+ * @returns {Promise<Object>} A storage implementing OrbitDB's storage interface
+ */
+const EncryptedStorage = async ({ storage, encryption, keyEncryption } = {}) => {
+  if (!storage) {
+    throw new InvalidInputError('EncryptedStorage requires a storage')
+  }
+  if (!encryption) {
+    throw new InvalidInputError('EncryptedStorage requires an encryption')
+  }
+  if (keyEncryption && (!keyEncryption.encryptString || !keyEncryption.decryptString)) {
+    throw new InvalidInputError('keyEncryption must be a deterministic encryption, eg. DeterministicEncryption')
+  }
+
+  const encryptKey = async (key) => keyEncryption ? keyEncryption.encryptString(String(key)) : key
+
+  const decryptKey = async (key) => keyEncryption ? keyEncryption.decryptString(key) : key
+
+  const encryptValue = (key, value) => encryption.encrypt(dagCbor.encode(value), { associatedData: String(key) })
+
+  const decryptValue = async (key, value) => dagCbor.decode(await encryption.decrypt(value, { associatedData: String(key) }))
+
+  const put = async (key, value) => {
+    await storage.put(await encryptKey(key), await encryptValue(key, value))
+  }
+
+  const get = async (key) => {
+    const value = await storage.get(await encryptKey(key))
+    if (value != null) {
+      return decryptValue(key, value)
+    }
+  }
+
+  const del = async (key) => {
+    await storage.del(await encryptKey(key))
+  }
+
+  const iterator = async function * (options) {
+    for await (const [encryptedKey, value] of storage.iterator(options)) {
+      const key = await decryptKey(encryptedKey)
+      yield [key, await decryptValue(key, value)]
+    }
+  }
+
+  const merge = async (other) => {
+    if (other) {
+      for await (const [key, value] of other.iterator()) {
+        await put(key, value)
+      }
+    }
+  }
+
+  const clear = async () => {
+    await storage.clear()
+  }
+
+  const close = async () => {
+    await storage.close()
+  }
+
+  const persist = async (key) => {
+    if (storage.persist) {
+      await storage.persist(await encryptKey(key))
+    }
+  }
+
+  return {
+    put,
+    get,
+    del,
+    persist,
+    iterator,
+    merge,
+    clear,
+    close
+  }
+}
+
+export default EncryptedStorage
@@ -0,0 +1,253 @@
+/**
+ * @description
+ * Streaming encryption for payloads that don't fit into a single value, eg.
+ * file attachments stored alongside a database.
+ *
+ * The data is split into chunks that are encrypted one by one with the
+ * `encrypt` function of an encryption object, so every chunk has its own
+ * nonce and the password or key is handled the same way as for single
+ * values. Every chunk is bound to a random stream id, its index and whether
+ * it is the final chunk, so chunks can't be reordered, spliced in from
+ * another stream or cut off without decryption failing.
+ *
+ * Layout: magic | version | chunkSize | streamId, followed by chunks of
+ * final | length | ciphertext
+ */
+
+import { concat } from 'uint8arrays/concat'
+import { fromString } from 'uint8arrays/from-string'
+import { encodeAssociatedData } from './format.js'
+import { getCrypto } from './webcrypto.js'
+import { InvalidInputError, UnsupportedFormatError, TruncatedCiphertextError } from './errors.js'
+
+const MAGIC = [0x53, 0x45, 0x53]
+const VERSION = 1
+const STREAM_ID_LENGTH = 16
+const PREAMBLE_LENGTH = MAGIC.length + 1 + 4 + STREAM_ID_LENGTH
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024
+// Room for the header, the tag and eg. the recipients of IdentityEncryption
+const MAX_CHUNK_OVERHEAD = 64 * 1024
+
+const encodeUint32 = (value) => {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setUint32(0, value)
+  return bytes
+}
+
+const decodeUint32 = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0)
+
+const toBytes = (value) => typeof value === 'string' ? fromString(value) : value
+
+const chunkAssociatedData = (streamId, index, final, associatedData) => {
+  return encodeAssociatedData([streamId, encodeUint32(index), Uint8Array.from([final ? 1 : 0]), associatedData])
+}
+
+// Reads the chunks of a ReadableStream, an (async) iterable or a single TypedArray
+async function * readChunks (source) {
+  if (source?.subarray) {
+    yield source
+    return
+  }
+  if (source?.getReader) {
+    const reader = source.getReader()
+    try {
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) {
+          return
+        }
+        yield value
+      }
+    } finally {
+      reader.releaseLock()
+    }
+  }
+  if (source?.[Symbol.asyncIterator] || source?.[Symbol.iterator]) {
+    yield * source
+    return
+  }
+  throw new InvalidInputError('source must be a ReadableStream, an async iterable or a TypedArray')
+}
+
+async function * readBytes (source) {
+  for await (const chunk of readChunks(source)) {
+    if (!chunk?.subarray) {
+      throw new InvalidInputError('Stream chunks must be TypedArrays')
+    }
+    yield chunk
+  }
+}
+
+// Splits the data into chunks of `size` bytes, the last one may be shorter
+async function * rechunk (source, size) {
+  let buffer = new Uint8Array(0)
+  let chunks = 0
+  for await (const bytes of readBytes(source)) {
+    buffer = concat([buffer, bytes])
+    while (buffer.length >= size) {
+      chunks++
+      yield buffer.subarray(0, size)
+      buffer = buffer.subarray(size)
+    }
+  }
+  if (buffer.length > 0 || chunks === 0) {
+    yield buffer
+  }
+}
+
+// Reads exactly the requested number of bytes from a stream of chunks
+const ByteReader = (source) => {
+  const chunks = readBytes(source)
+  let buffer = new Uint8Array(0)
+  let done = false
+
+  const fill = async (length) => {
+    while (buffer.length < length && !done) {
+      const next = await chunks.next()
+      if (next.done) {
+        done = true
+      } else {
+        buffer = concat([buffer, next.value])
+      }
+    }
+  }
+
+  const read = async (length) => {
+    await fill(length)
+    if (buffer.length < length) {
+      throw new TruncatedCiphertextError('Stream is truncated')
+    }
+    const bytes = buffer.subarray(0, length)
+    buffer = buffer.subarray(length)
+    return bytes
+  }
+
+  const atEnd = async () => {
+    await fill(1)
+    return buffer.length === 0
+  }
+
+  return {
+    read,
+    atEnd
+  }
+}
+
+const toReadableStream = (iterator) => new ReadableStream({
+  async pull (controller) {
+    try {
+      const { done, value } = await iterator.next()
+      if (done) {
+        controller.close()
+      } else {
+        controller.enqueue(value)
+      }
+    } catch (e) {
+      controller.error(e)
+    }
+  },
+  async cancel (reason) {
+    await iterator.return(reason)
+  }
+})
+
+async function * encryptChunks (encryption, source, { chunkSize, associatedData }) {
+  const streamId = getCrypto().getRandomValues(new Uint8Array(STREAM_ID_LENGTH))
+  yield concat([Uint8Array.from([...MAGIC, VERSION]), encodeUint32(chunkSize), streamId])
+
+  const encryptChunk = async (chunk, index, final) => {
+    const ciphertext = await encryption.encrypt(chunk, { associatedData: chunkAssociatedData(streamId, index, final, associatedData) })
+    return concat([Uint8Array.from([final ? 1 : 0]), encodeUint32(ciphertext.length), ciphertext])
+  }
+
+  // Hold back one chunk to know which one is the final one
+  let index = 0
+  let previous
+  for await (const chunk of rechunk(source, chunkSize)) {
+    if (previous) {
+      yield await encryptChunk(previous, index++, false)
+    }
+    previous = chunk
+  }
+  yield await encryptChunk(previous, index, true)
+}
+
+async function * decryptChunks (encryption, source, { associatedData }) {
+  const reader = ByteReader(source)
+
+  const preamble = await reader.read(PREAMBLE_LENGTH)
+  if (MAGIC.some((byte, i) => preamble[i] !== byte)) {
+    throw new UnsupportedFormatError('Data is not an encrypted stream')
+  }
+  if (preamble[MAGIC.length] !== VERSION) {
+    throw new UnsupportedFormatError(`Unsupported stream format version ${preamble[MAGIC.length]}`)
+  }
+  const chunkSize = decodeUint32(preamble.subarray(MAGIC.length + 1, MAGIC.length + 5))
+  if (chunkSize > MAX_CHUNK_SIZE) {
+    throw new UnsupportedFormatError(`Unsupported stream chunk size ${chunkSize}`)
+  }
+  const streamId = preamble.slice(MAGIC.length + 5)
+
+  for (let index = 0; ; index++) {
+    const [final] = await reader.read(1)
+    if (final > 1) {
+      throw new UnsupportedFormatError('Unsupported stream chunk flags')
+    }
+    const length = decodeUint32(await reader.read(4))
+    if (length > chunkSize + MAX_CHUNK_OVERHEAD) {
+      throw new UnsupportedFormatError('Stream chunk is too long')
+    }
+    const ciphertext = await reader.read(length)
+    yield await encryption.decrypt(ciphertext, { associatedData: chunkAssociatedData(streamId, index, final === 1, associatedData) })
+    if (final === 1) {
+      if (!await reader.atEnd()) {
+        throw new UnsupportedFormatError('Stream has data after its final chunk')
+      }
+      return
+    }
+  }
+}
+
+const validateOptions = ({ chunkSize, associatedData }) => {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new InvalidInputError(`chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}`)
+  }
+  if (associatedData != null && typeof associatedData !== 'string' && !associatedData.subarray) {
+    throw new InvalidInputError('associatedData must be a String or a TypedArray')
+  }
+}
+
+/**
+ * Encrypts a stream of data in chunks.
+ *
+ * @param {Object} encryption An encryption object, eg. SimpleEncryption
+ * @param {ReadableStream|AsyncIterable<Uint8Array>|Iterable<Uint8Array>|Uint8Array} source
+ * The data to encrypt
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=65536] Size of the plaintext chunks in bytes
+ * @param {string|Uint8Array} [options.associatedData] Context the stream is bound to
+ * @returns {ReadableStream<Uint8Array>} The encrypted stream
+ */
+const encryptStream = (encryption, source, { chunkSize = 65536, associatedData } = {}) => {
+  validateOptions({ chunkSize, associatedData })
+  return toReadableStream(encryptChunks(encryption, source, { chunkSize, associatedData: toBytes(associatedData) }))
+}
+
+/**
+ * Decrypts a stream encrypted with `encryptStream`. The stream errors if a
+ * chunk can't be decrypted or the stream was cut off, so the decrypted data
+ * is only complete once the stream ends without an error.
+ *
+ * @param {Object} encryption An encryption object, eg. SimpleEncryption
+ * @param {ReadableStream|AsyncIterable<Uint8Array>|Iterable<Uint8Array>|Uint8Array} source
+ * The encrypted data
+ * @param {Object} [options]
+ * @param {string|Uint8Array} [options.associatedData] Context the stream was bound to
+ * @returns {ReadableStream<Uint8Array>} The decrypted stream
+ */
+const decryptStream = (encryption, source, { associatedData } = {}) => {
+  validateOptions({ chunkSize: 1, associatedData })
+  return toReadableStream(decryptChunks(encryption, source, { associatedData: toBytes(associatedData) }))
+}
+
+export { encryptStream, decryptStream }
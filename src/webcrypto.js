@@ -0,0 +1,10 @@
+import crypto from 'crypto'
+
+// Polyfill fix for browsers
+export const getCrypto = () => {
+  if (typeof global.crypto !== 'undefined') {
+    return global.crypto
+  } else {
+    return crypto
+  }
+}
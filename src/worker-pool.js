@@ -0,0 +1,235 @@
+/**
+ * @description
+ * Encrypts and decrypts in a pool of workers, so that key derivation and
+ * bulk decryption, eg. during the initial replication of a large log, don't
+ * block the main thread. Web Workers are used in browsers and worker_threads
+ * in Node.js.
+ *
+ * Every worker runs its own SimpleEncryption with the same options, so each
+ * worker derives and caches its own keys. Requests go to the worker with the
+ * fewest requests in progress. A worker that fails, eg. crashes, is replaced
+ * with a new one.
+ */
+
+/* global Worker */
+
+import * as errors from './errors.js'
+import { EncryptionError, InvalidInputError } from './errors.js'
+
+const MAX_SIZE = 64
+
+// Wraps a Web Worker or a worker_threads Worker in the same interface
+const createWorker = async () => {
+  if (typeof Worker !== 'undefined') {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+    return {
+      onMessage: (fn) => worker.addEventListener('message', (event) => fn(event.data)),
+      onError: (fn) => worker.addEventListener('error', (event) => fn(event.error ?? new Error(event.message))),
+      postMessage: (message) => worker.postMessage(message),
+      ref: () => {},
+      unref: () => {},
+      terminate: async () => worker.terminate()
+    }
+  }
+
+  const { Worker: NodeWorker } = await import('worker_threads')
+  const worker = new NodeWorker(new URL('./worker.js', import.meta.url))
+  return {
+    onMessage: (fn) => worker.on('message', fn),
+    onError: (fn) => {
+      worker.on('error', fn)
+      worker.on('exit', (code) => fn(new Error(`Worker exited with code ${code}`)))
+    },
+    postMessage: (message) => worker.postMessage(message),
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+    terminate: async () => { await worker.terminate() }
+  }
+}
+
+// Recreates an error thrown in a worker with its original class
+const deserializeError = ({ name, message, reasons }) => {
+  const ErrorClass = errors[name]
+  if (ErrorClass?.prototype instanceof EncryptionError) {
+    return new ErrorClass(message, reasons != null ? { reasons } : undefined)
+  }
+  return new Error(message)
+}
+
+// Sends requests to a single worker and resolves them with its replies.
+// `onFailure` is called when the worker fails, but not when it is terminated.
+const WorkerConnection = async ({ onFailure } = {}) => {
+  const worker = await createWorker()
+  const requests = new Map()
+
+  let nextId = 0
+  let failure
+
+  worker.onMessage(({ id, result, error }) => {
+    const request = requests.get(id)
+    if (!request) {
+      return
+    }
+    requests.delete(id)
+    if (requests.size === 0) {
+      // An idle worker doesn't keep Node.js from exiting
+      worker.unref()
+    }
+    if (error) {
+      request.reject(deserializeError(error))
+    } else {
+      request.resolve(result)
+    }
+  })
+
+  const rejectAll = () => {
+    for (const { reject } of requests.values()) {
+      reject(new EncryptionError('Worker failed', { cause: failure }))
+    }
+    requests.clear()
+  }
+
+  worker.onError((e) => {
+    if (failure) {
+      return
+    }
+    failure = e
+    rejectAll()
+    onFailure?.()
+  })
+
+  const call = (method, data, options) => new Promise((resolve, reject) => {
+    if (failure) {
+      throw new EncryptionError('Worker failed', { cause: failure })
+    }
+    const id = nextId++
+    if (requests.size === 0) {
+      worker.ref()
+    }
+    requests.set(id, { resolve, reject })
+    worker.postMessage({ id, method, data, options })
+  })
+
+  const terminate = async () => {
+    failure = failure ?? new Error('Worker was terminated')
+    rejectAll()
+    await worker.terminate()
+  }
+
+  return {
+    call,
+    terminate,
+    get pending () {
+      return requests.size
+    }
+  }
+}
+
+/**
+ * Creates a pool of workers that encrypt and decrypt with SimpleEncryption.
+ *
+ * @param {Object} options
+ * @param {number} options.size Number of workers
+ * @param {Object} options.options Options of the SimpleEncryption every
+ * worker runs
+ * @returns {Promise<Object>} An object with `encrypt` and `decrypt` functions
+ * like SimpleEncryption's, and `close` to stop the workers
+ */
+const WorkerPool = async ({ size, options }) => {
+  if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) {
+    throw new InvalidInputError(`workers must be an integer between 1 and ${MAX_SIZE}`)
+  }
+
+  let connections = []
+  const starting = new Set()
+  let ivInterval
+  let failure
+  let closed = false
+
+  // Starts a worker and initializes its SimpleEncryption
+  const start = async () => {
+    const connection = await WorkerConnection({ onFailure: () => replace(connection) })
+    try {
+      ({ ivInterval } = await connection.call('init', undefined, options))
+    } catch (e) {
+      await connection.terminate()
+      throw e
+    }
+    return connection
+  }
+
+  // Replaces a failed worker. Requests wait for the new worker if no other
+  // one is left, the pool shrinks if it fails to start.
+  const replace = (connection) => {
+    if (closed || !connections.includes(connection)) {
+      return
+    }
+    connections = connections.filter(other => other !== connection)
+
+    const replacement = start()
+      .then(async (started) => {
+        if (closed) {
+          await started.terminate()
+        } else {
+          connections.push(started)
+        }
+      }, (e) => {
+        failure = e
+      })
+      .finally(() => starting.delete(replacement))
+    starting.add(replacement)
+  }
+
+  const started = await Promise.allSettled(Array.from({ length: size }, start))
+  connections = started.filter(({ status }) => status === 'fulfilled').map(({ value }) => value)
+  const rejected = started.find(({ status }) => status === 'rejected')
+  if (rejected) {
+    await Promise.all(connections.map(connection => connection.terminate()))
+    throw rejected.reason
+  }
+
+  const leastBusy = async () => {
+    while (connections.length === 0 && starting.size > 0) {
+      await Promise.race(starting)
+    }
+    if (connections.length === 0) {
+      throw new EncryptionError('Worker failed', { cause: failure ?? new Error('Worker was terminated') })
+    }
+    return connections.reduce((least, connection) => connection.pending < least.pending ? connection : least)
+  }
+
+  const toOptions = ({ associatedData } = {}) => ({ associatedData })
+
+  const encrypt = async (value, options) => {
+    if (!value?.subarray) {
+      throw new InvalidInputError('Data to encrypt must be a TypedArray')
+    }
+    return (await leastBusy()).call('encrypt', value, toOptions(options))
+  }
+
+  const decrypt = async (value, options) => {
+    if (!value?.subarray) {
+      throw new InvalidInputError('Data to decrypt must be a TypedArray')
+    }
+    return (await leastBusy()).call('decrypt', value, toOptions(options))
+  }
+
+  /**
+   * Stops the workers. Requests in progress are rejected.
+   */
+  const close = async () => {
+    closed = true
+    await Promise.all(starting)
+    await Promise.all(connections.map(connection => connection.terminate()))
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    keyId: options.keyId,
+    ivInterval,
+    close
+  }
+}
+
+export default WorkerPool
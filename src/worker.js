@@ -0,0 +1,45 @@
+/**
+ * @description
+ * Entry point of the workers of a WorkerPool. Every worker runs a
+ * SimpleEncryption with the options the pool was created with and answers
+ * the pool's `encrypt` and `decrypt` requests.
+ */
+
+/* global WorkerGlobalScope */
+
+import SimpleEncryption from './index.js'
+
+const methods = ['encrypt', 'decrypt']
+
+// Errors can't be cloned with their class, so only what is needed to
+// recreate them is sent back
+const serializeError = (e) => ({ name: e?.name, message: e?.message ?? String(e), reasons: e?.reasons })
+
+let encryption
+
+const handle = async ({ id, method, data, options }, reply) => {
+  try {
+    let result
+    if (method === 'init') {
+      encryption = SimpleEncryption(options)
+      const { ivInterval } = await encryption
+      result = { ivInterval }
+    } else if (methods.includes(method)) {
+      result = await (await encryption)[method](data, options)
+    } else {
+      throw new Error(`Unknown method ${method}`)
+    }
+    // Results are copied, not transferred: their buffer may be shared, eg.
+    // with Node.js's Buffer pool, which can't be transferred
+    reply({ id, result })
+  } catch (e) {
+    reply({ id, error: serializeError(e) })
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined') {
+  globalThis.addEventListener('message', (event) => handle(event.data, (message) => globalThis.postMessage(message)))
+} else {
+  const { parentPort } = await import('worker_threads')
+  parentPort.on('message', (message) => handle(message, (reply) => parentPort.postMessage(reply)))
+}
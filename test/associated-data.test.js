@@ -0,0 +1,89 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import SimpleEncryption from '../src/index.js'
+import catchError from './utils/catch-error.js'
+
+describe('Associated data', function () {
+  const encoded = new TextEncoder().encode('some text')
+  const authenticationFailed = 'Authentication failed, the data was encrypted with a different key or associated data, or has been tampered with'
+
+  describe('Bound to the encryption object', function () {
+    it('decrypts values with the same associated data', async function () {
+      const encryption1 = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db1' })
+      const encryption2 = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db1' })
+      const encrypted = await encryption1.encrypt(encoded)
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('throws an error if a value is copied to another database', async function () {
+      const encryption1 = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db1' })
+      const encryption2 = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db2' })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      const err = await catchError(() => encryption2.decrypt(encrypted))
+      notEqual(err, undefined)
+      strictEqual(err.message, authenticationFailed)
+    })
+
+    it('throws an error if a value without associated data is decrypted with it', async function () {
+      const encryption1 = await SimpleEncryption({ password: 'hello' })
+      const encryption2 = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db1' })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      const err = await catchError(() => encryption2.decrypt(encrypted))
+      notEqual(err, undefined)
+      strictEqual(err.message, authenticationFailed)
+    })
+
+    it('can be a TypedArray', async function () {
+      const associatedData = Uint8Array.from([1, 2, 3])
+      const encryption = await SimpleEncryption({ password: 'hello', associatedData })
+      const encrypted = await encryption.encrypt(encoded)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can be used with a key', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(32))
+      const encryption1 = await SimpleEncryption({ key, associatedData: '/orbitdb/db1' })
+      const encryption2 = await SimpleEncryption({ key, associatedData: '/orbitdb/db2' })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      deepStrictEqual(await encryption1.decrypt(encrypted), encoded)
+      const err = await catchError(() => encryption2.decrypt(encrypted))
+      notEqual(err, undefined)
+      strictEqual(err.message, authenticationFailed)
+    })
+
+    it('can\'t be a number', async function () {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', associatedData: 123 }))
+      notEqual(err, undefined)
+      strictEqual(err.message, 'associatedData must be a String or a TypedArray')
+    })
+  })
+
+  describe('Bound to a single value', function () {
+    it('decrypts a value with the same associated data', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', associatedData: '/orbitdb/db1' })
+      const encrypted = await encryption.encrypt(encoded, { associatedData: 'entry-1' })
+      deepStrictEqual(await encryption.decrypt(encrypted, { associatedData: 'entry-1' }), encoded)
+    })
+
+    it('throws an error if a value is moved to another entry', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello' })
+      const encrypted = await encryption.encrypt(encoded, { associatedData: 'entry-1' })
+
+      const err = await catchError(() => encryption.decrypt(encrypted, { associatedData: 'entry-2' }))
+      notEqual(err, undefined)
+      strictEqual(err.message, authenticationFailed)
+    })
+
+    it('keeps the associated data of the object and of the value apart', async function () {
+      const encryption1 = await SimpleEncryption({ password: 'hello', associatedData: 'ab' })
+      const encryption2 = await SimpleEncryption({ password: 'hello', associatedData: 'a' })
+      const encrypted = await encryption1.encrypt(encoded, { associatedData: 'c' })
+
+      const err = await catchError(() => encryption2.decrypt(encrypted, { associatedData: 'bc' }))
+      notEqual(err, undefined)
+      strictEqual(err.message, authenticationFailed)
+    })
+  })
+})
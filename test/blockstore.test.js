@@ -0,0 +1,154 @@
+import { strictEqual, deepStrictEqual, notDeepStrictEqual } from 'assert'
+import { rimraf } from 'rimraf'
+import path from 'path'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { MemoryBlockstore } from 'blockstore-core'
+import { createOrbitDB } from '@orbitdb/core'
+import createHelia from './utils/create-helia.js'
+
+import SimpleEncryption, { EncryptedBlockstore, AuthenticationFailedError } from '../src/index.js'
+
+const dbPath = './orbitdb/tests/blockstore'
+
+describe('Encrypted Blockstore', function () {
+  this.timeout(10000)
+
+  const createBlock = async (text) => {
+    const block = new TextEncoder().encode(text)
+    const cid = CID.create(1, raw.code, await sha256.digest(block))
+    return { cid, block }
+  }
+
+  const collect = async (source) => {
+    const values = []
+    for await (const value of source) {
+      values.push(value)
+    }
+    return values
+  }
+
+  let encryption
+
+  before(async () => {
+    encryption = await SimpleEncryption({ password: 'hello' })
+  })
+
+  describe('Storing blocks', function () {
+    let store
+    let blockstore
+
+    beforeEach(() => {
+      store = new MemoryBlockstore()
+      blockstore = EncryptedBlockstore(store, encryption)
+    })
+
+    it('encrypts blocks at rest', async () => {
+      const { cid, block } = await createBlock('some text')
+
+      strictEqual((await blockstore.put(cid, block)).equals(cid), true)
+
+      notDeepStrictEqual(await store.get(cid), block)
+      deepStrictEqual(await blockstore.get(cid), block)
+      strictEqual(await blockstore.has(cid), true)
+    })
+
+    it('puts and gets many blocks', async () => {
+      const pairs = await Promise.all(['block 1', 'block 2', 'block 3'].map(createBlock))
+
+      const cids = await collect(blockstore.putMany(pairs))
+      deepStrictEqual(cids, pairs.map(({ cid }) => cid))
+
+      deepStrictEqual(await collect(blockstore.getMany(cids)), pairs)
+      deepStrictEqual(await collect(blockstore.getAll()), pairs)
+
+      for (const { cid, block } of pairs) {
+        notDeepStrictEqual(await store.get(cid), block)
+      }
+    })
+
+    it('deletes blocks', async () => {
+      const pairs = await Promise.all(['block 1', 'block 2', 'block 3'].map(createBlock))
+      await collect(blockstore.putMany(pairs))
+
+      await blockstore.delete(pairs[0].cid)
+      await collect(blockstore.deleteMany([pairs[1].cid]))
+
+      strictEqual(await blockstore.has(pairs[0].cid), false)
+      strictEqual(await blockstore.has(pairs[1].cid), false)
+      strictEqual(await blockstore.has(pairs[2].cid), true)
+    })
+
+    it('fails to get a block swapped for another one', async () => {
+      const block1 = await createBlock('block 1')
+      const block2 = await createBlock('block 2')
+      await blockstore.put(block1.cid, block1.block)
+      await blockstore.put(block2.cid, block2.block)
+
+      await store.put(block1.cid, await store.get(block2.cid))
+
+      let err
+      try {
+        await blockstore.get(block1.cid)
+      } catch (e) {
+        err = e
+      }
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to get a block with the wrong password', async () => {
+      const { cid, block } = await createBlock('some text')
+      await blockstore.put(cid, block)
+
+      let err
+      try {
+        await EncryptedBlockstore(store, await SimpleEncryption({ password: 'world' })).get(cid)
+      } catch (e) {
+        err = e
+      }
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+  })
+
+  describe('Using the blockstore with Helia and OrbitDB', function () {
+    let store
+    let ipfs
+    let orbitdb
+
+    before(async () => {
+      await rimraf('./orbitdb')
+
+      store = new MemoryBlockstore()
+      ipfs = await createHelia({ blockstore: EncryptedBlockstore(store, encryption) })
+      orbitdb = await createOrbitDB({ ipfs, id: 'user1', directory: path.join(dbPath, '1') })
+    })
+
+    after(async () => {
+      if (orbitdb) {
+        await orbitdb.stop()
+      }
+
+      if (ipfs) {
+        await ipfs.stop()
+      }
+
+      await rimraf('./orbitdb')
+    })
+
+    it('stores the blocks of a database encrypted', async () => {
+      const db = await orbitdb.open('encrypted-blocks')
+      const hash = await db.add('record 1')
+
+      const stored = await collect(store.getAll())
+      strictEqual(stored.length > 0, true)
+      strictEqual(stored.some(({ block }) => new TextDecoder().decode(block).includes('record 1')), false)
+
+      deepStrictEqual((await db.all()).map(({ value }) => value), ['record 1'])
+      strictEqual((await db.get(hash)), 'record 1')
+
+      await db.drop()
+      await db.close()
+    })
+  })
+})
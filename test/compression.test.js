@@ -0,0 +1,141 @@
+import { strictEqual, deepStrictEqual, ok } from 'assert'
+import SimpleEncryption, { Keyring, InvalidInputError, UnsupportedFormatError } from '../src/index.js'
+import { decodeHeader, Flags, Compressions, Paddings } from '../src/format.js'
+import { resolveCompression, decompress } from '../src/compression.js'
+import catchError from './utils/catch-error.js'
+
+describe('Compression', function () {
+  const encode = (text) => new TextEncoder().encode(text)
+
+  // Verbose JSON like the documents of a documents database
+  const documents = encode(JSON.stringify(Array.from({ length: 50 }, (_, i) => ({
+    _id: `document-${i}`,
+    type: 'invoice',
+    status: i % 2 === 0 ? 'paid' : 'open',
+    customer: { name: 'Example Customer', address: { street: 'Main Street 1', city: 'Springfield' } },
+    items: [{ description: 'Consulting services', quantity: 1, price: 100 }]
+  }))))
+
+  describe('Compression formats', function () {
+    it('compresses and decompresses with deflate', async function () {
+      const { id, compress } = resolveCompression({ name: 'deflate' })
+      const compressed = await compress(documents)
+
+      strictEqual(id, Compressions.DEFLATE)
+      ok(compressed.length < documents.length / 5)
+      deepStrictEqual(await decompress(compressed, id), documents)
+    })
+
+    it('compresses and decompresses with gzip', async function () {
+      const { id, compress } = resolveCompression({ name: 'gzip' })
+      const compressed = await compress(documents)
+
+      strictEqual(id, Compressions.GZIP)
+      ok(compressed.length < documents.length / 5)
+      deepStrictEqual(await decompress(compressed, id), documents)
+    })
+
+    it('rejects invalid compressed data', async function () {
+      const err = await catchError(() => decompress(encode('not compressed'), Compressions.DEFLATE))
+
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Invalid compressed data')
+    })
+  })
+
+  describe('Encrypting compressed values', function () {
+    it('compresses values before they are encrypted', async function () {
+      const compressed = await SimpleEncryption({ password: 'hello', compression: { name: 'deflate' } })
+      const uncompressed = await SimpleEncryption({ password: 'hello' })
+
+      const encrypted = await compressed.encrypt(documents)
+
+      ok(encrypted.length < (await uncompressed.encrypt(documents)).length / 5)
+      deepStrictEqual(await compressed.decrypt(encrypted), documents)
+    })
+
+    it('records the compression format in the header', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', compression: { name: 'gzip' } })
+      const header = decodeHeader(await encryption.encrypt(documents))
+
+      strictEqual(header.flags & Flags.COMPRESSED, Flags.COMPRESSED)
+      strictEqual(header.compression, Compressions.GZIP)
+    })
+
+    it('doesn\'t compress without the compression option', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello' })
+      const header = decodeHeader(await encryption.encrypt(documents))
+
+      strictEqual(header.flags & Flags.COMPRESSED, 0)
+      strictEqual(header.compression, undefined)
+    })
+
+    it('stores values that don\'t get smaller uncompressed', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', compression: { name: 'deflate' } })
+
+      for (const value of [encode('hi'), crypto.getRandomValues(new Uint8Array(1000))]) {
+        const encrypted = await encryption.encrypt(value)
+
+        strictEqual(decodeHeader(encrypted).compression, undefined)
+        deepStrictEqual(await encryption.decrypt(encrypted), value)
+      }
+    })
+
+    it('compresses values encrypted with a key', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(32))
+      const encryption = await SimpleEncryption({ key, compression: { name: 'deflate' } })
+
+      const encrypted = await encryption.encrypt(documents)
+
+      strictEqual(decodeHeader(encrypted).compression, Compressions.DEFLATE)
+      deepStrictEqual(await encryption.decrypt(encrypted), documents)
+    })
+
+    it('compresses values encrypted with a keyring', async function () {
+      const keyring = await Keyring({ keys: [{ id: 'compressed', password: 'hello', compression: { name: 'deflate' } }] })
+
+      const encrypted = await keyring.encrypt(documents)
+
+      strictEqual(decodeHeader(encrypted).compression, Compressions.DEFLATE)
+      deepStrictEqual(await keyring.decrypt(encrypted), documents)
+    })
+
+    it('compresses values before padding them', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', compression: { name: 'deflate' }, padding: { name: 'padme' } })
+
+      const encrypted = await encryption.encrypt(documents)
+      const header = decodeHeader(encrypted)
+
+      strictEqual(header.compression, Compressions.DEFLATE)
+      strictEqual(header.padding, Paddings.PADME)
+      ok(encrypted.length < documents.length / 5)
+      deepStrictEqual(await encryption.decrypt(encrypted), documents)
+    })
+
+    it('decrypts compressed values without the compression option', async function () {
+      const compressed = await SimpleEncryption({ password: 'hello', compression: { name: 'gzip' } })
+      const uncompressed = await SimpleEncryption({ password: 'hello' })
+
+      deepStrictEqual(await uncompressed.decrypt(await compressed.encrypt(documents)), documents)
+      deepStrictEqual(await compressed.decrypt(await uncompressed.encrypt(documents)), documents)
+    })
+
+    it('rejects an unknown compression format in the header', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', compression: { name: 'deflate' } })
+      const encrypted = await encryption.encrypt(documents)
+      const { header } = decodeHeader(encrypted)
+      encrypted[header.length - 1] = 0xff
+
+      const err = await catchError(() => encryption.decrypt(encrypted))
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Unsupported compression 255')
+    })
+
+    it('rejects an unknown compression option', async function () {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', compression: { name: 'brotli' } }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Unsupported compression brotli')
+    })
+  })
+})
@@ -0,0 +1,65 @@
+import { strictEqual, deepStrictEqual } from 'assert'
+import { toString } from 'uint8arrays/to-string'
+import SimpleEncryption from '../src/index.js'
+import { decodeHeader } from '../src/format.js'
+
+describe('Concurrency', function () {
+  this.timeout(60000)
+
+  const encode = (i) => new TextEncoder().encode('record ' + i)
+
+  it('encrypts and decrypts thousands of values in parallel', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const count = 5000
+
+    const values = Array.from({ length: count }, (_, i) => encode(i))
+    const encrypted = await Promise.all(values.map(value => encryption.encrypt(value)))
+    const decrypted = await Promise.all(encrypted.map(value => encryption.decrypt(value)))
+
+    deepStrictEqual(decrypted, values)
+
+    // Every value was encrypted with the key derived from the salt in its header
+    const salts = new Set(encrypted.map(value => toString(decodeHeader(value).salt, 'base16')))
+    strictEqual(salts.size, 1)
+  })
+
+  it('never reuses a nonce when a new key is derived while encrypting in parallel', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const count = encryption.ivInterval * 2 + 1000
+
+    const values = Array.from({ length: count }, (_, i) => encode(i))
+    const encrypted = await Promise.all(values.map(value => encryption.encrypt(value)))
+
+    const headers = encrypted.map(value => decodeHeader(value))
+    const nonces = new Set(headers.map(({ salt, nonce }) => toString(salt, 'base16') + '/' + toString(nonce, 'base16')))
+    const salts = new Set(headers.map(({ salt }) => toString(salt, 'base16')))
+
+    strictEqual(nonces.size, count)
+    strictEqual(salts.size, 3)
+
+    // Decrypt a sample that spans every key
+    const sample = encrypted.filter((_, i) => i % 100 === 0)
+    const decrypted = await Promise.all(sample.map(value => encryption.decrypt(value)))
+    deepStrictEqual(decrypted, values.filter((_, i) => i % 100 === 0))
+  })
+
+  it('decrypts values encrypted with different keys in parallel', async function () {
+    const writers = await Promise.all([1, 2, 3, 4].map(() => SimpleEncryption({ password: 'hello' })))
+    const reader = await SimpleEncryption({ password: 'hello' })
+
+    const values = Array.from({ length: 2000 }, (_, i) => encode(i))
+    const encrypted = await Promise.all(values.map((value, i) => writers[i % writers.length].encrypt(value)))
+    const decrypted = await Promise.all(encrypted.map(value => reader.decrypt(value)))
+
+    deepStrictEqual(decrypted, values)
+  })
+
+  it('encrypts and decrypts in parallel with the same instance', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 1024 } })
+
+    const values = Array.from({ length: 2000 }, (_, i) => encode(i))
+    const results = await Promise.all(values.map(async value => encryption.decrypt(await encryption.encrypt(value))))
+
+    deepStrictEqual(results, values)
+  })
+})
@@ -0,0 +1,200 @@
+import { strictEqual, deepStrictEqual } from 'assert'
+import path from 'path'
+import { LevelStorage } from '@orbitdb/core'
+import startOrbitDB from './utils/start-orbitdb.js'
+import createDatabase from './utils/create-database.js'
+import createConcurrentHeads from './utils/create-concurrent-heads.js'
+import catchError from './utils/catch-error.js'
+
+import SimpleEncryption, { detectEncryption, encryptionMeta, isDatabaseEncrypted } from '../src/index.js'
+import { InvalidInputError } from '../src/errors.js'
+
+const dbPath = './orbitdb/tests/detect'
+
+describe('Detecting encryption', function () {
+  this.timeout(10000)
+
+  let orbitdb
+  let stop
+  let db
+
+  before(async () => {
+    ({ orbitdb, stop } = await startOrbitDB(dbPath))
+  })
+
+  after(async () => {
+    await stop?.()
+  })
+
+  afterEach(async () => {
+    await db?.drop()
+    await db?.close()
+    db = null
+  })
+
+  // Creates a database with the given options and opens it with `reopen`
+  const createAndOpen = async (name, options, reopen = {}, records) => {
+    db = await orbitdb.open(await createDatabase(orbitdb, name, options, records), reopen)
+  }
+
+  it('detects an unencrypted database', async () => {
+    await createAndOpen('detect-unencrypted', {})
+
+    deepStrictEqual(await detectEncryption(db), {
+      encrypted: false,
+      data: false,
+      replication: false,
+      format: undefined,
+      empty: false,
+      readable: true
+    })
+    strictEqual(await isDatabaseEncrypted(db), false)
+  })
+
+  it('detects data encryption', async () => {
+    const data = await SimpleEncryption({ password: 'hello' })
+    await createAndOpen('detect-data', { encryption: { data } })
+
+    deepStrictEqual(await detectEncryption(db), {
+      encrypted: true,
+      data: true,
+      replication: false,
+      format: 'simple-encryption/1',
+      empty: false,
+      readable: false
+    })
+    strictEqual(await isDatabaseEncrypted(db), true)
+  })
+
+  it('detects replication encryption', async () => {
+    const replication = await SimpleEncryption({ password: 'hello' })
+    await createAndOpen('detect-replication', { encryption: { replication } })
+
+    deepStrictEqual(await detectEncryption(db), {
+      encrypted: true,
+      data: undefined,
+      replication: true,
+      format: 'simple-encryption/1',
+      empty: false,
+      readable: false
+    })
+    strictEqual(await isDatabaseEncrypted(db), true)
+  })
+
+  it('detects data encryption of a database opened with its replication encryption', async () => {
+    const data = await SimpleEncryption({ password: 'hello' })
+    const replication = await SimpleEncryption({ password: 'world' })
+    await createAndOpen('detect-replication-data', { encryption: { data, replication } }, { encryption: { replication } })
+
+    const { encrypted, data: isDataEncrypted, replication: isReplicationEncrypted, readable } = await detectEncryption(db)
+
+    strictEqual(encrypted, true)
+    strictEqual(isDataEncrypted, true)
+    strictEqual(isReplicationEncrypted, true)
+    strictEqual(readable, false)
+  })
+
+  it('detects that a database is readable with the encryption it was opened with', async () => {
+    const data = await SimpleEncryption({ password: 'hello' })
+    const replication = await SimpleEncryption({ password: 'world' })
+    const encryption = { data, replication }
+    await createAndOpen('detect-readable', { encryption }, { encryption })
+
+    const { encrypted, data: isDataEncrypted, replication: isReplicationEncrypted, readable } = await detectEncryption(db)
+
+    strictEqual(encrypted, true)
+    strictEqual(isDataEncrypted, true)
+    strictEqual(isReplicationEncrypted, true)
+    strictEqual(readable, true)
+  })
+
+  it('detects a database that is unreadable with the wrong password', async () => {
+    const replication = await SimpleEncryption({ password: 'hello' })
+    const wrong = await SimpleEncryption({ password: 'olleh' })
+    await createAndOpen('detect-wrong-password', { encryption: { replication } }, { encryption: { replication: wrong } })
+
+    // OrbitDB doesn't return heads it can't decrypt
+    strictEqual((await detectEncryption(db)).readable, false)
+
+    const address = db.address
+    await db.close()
+
+    const { encrypted, replication: isReplicationEncrypted, empty, readable } = await detectEncryption(address, { orbitdb, encryption: { replication: wrong } })
+
+    strictEqual(encrypted, true)
+    strictEqual(isReplicationEncrypted, true)
+    strictEqual(empty, false)
+    strictEqual(readable, false)
+
+    strictEqual((await detectEncryption(address, { orbitdb, encryption: { replication } })).readable, true)
+
+    db = await orbitdb.open(address)
+  })
+
+  it('can\'t tell whether an empty database is encrypted', async () => {
+    const replication = await SimpleEncryption({ password: 'hello' })
+    await createAndOpen('detect-empty', { encryption: { replication } }, {}, [])
+
+    const { encrypted, empty, readable } = await detectEncryption(db)
+
+    strictEqual(encrypted, undefined)
+    strictEqual(empty, true)
+    strictEqual(readable, true)
+    strictEqual(await isDatabaseEncrypted(db), false)
+  })
+
+  it('detects the encryption of an empty database from its manifest', async () => {
+    const replication = await SimpleEncryption({ password: 'hello' })
+    const encryption = { replication }
+    await createAndOpen('detect-empty-meta', { encryption, meta: await encryptionMeta(encryption) }, {}, [])
+
+    deepStrictEqual(await detectEncryption(db), {
+      encrypted: true,
+      data: false,
+      replication: true,
+      format: 'simple-encryption/1',
+      empty: true,
+      readable: true
+    })
+    strictEqual(await isDatabaseEncrypted(db), true)
+  })
+
+  const concurrentHeads = {
+    encrypted: true,
+    data: undefined,
+    replication: true,
+    format: 'simple-encryption/1',
+    empty: false,
+    readable: false
+  }
+
+  it('detects the encryption of a database with concurrent heads by address', async () => {
+    const data = await SimpleEncryption({ password: 'hello' })
+    const replication = await SimpleEncryption({ password: 'world' })
+    const address = await createConcurrentHeads(orbitdb, 'detect-concurrent', { data, replication })
+
+    deepStrictEqual(await detectEncryption(address, { orbitdb }), concurrentHeads)
+    strictEqual((await detectEncryption(address, { orbitdb, encryption: { data, replication } })).readable, true)
+
+    db = await orbitdb.open(address)
+
+    // OrbitDB can't sort heads it can't decrypt
+    const error = await catchError(() => detectEncryption(db))
+    strictEqual(error instanceof InvalidInputError, true)
+  })
+
+  it('detects the encryption of a database with concurrent heads from its heads storage', async () => {
+    const data = await SimpleEncryption({ password: 'hello' })
+    const replication = await SimpleEncryption({ password: 'world' })
+    const headsPath = path.join(dbPath, 'concurrent-heads')
+    const address = await createConcurrentHeads(orbitdb, 'detect-concurrent-storage', { data, replication }, {
+      headsStorage: await LevelStorage({ path: headsPath })
+    })
+
+    const headsStorage = await LevelStorage({ path: headsPath })
+    db = await orbitdb.open(address, { headsStorage })
+
+    deepStrictEqual(await detectEncryption(db, { headsStorage }), concurrentHeads)
+    strictEqual(await isDatabaseEncrypted(db, { headsStorage }), true)
+  })
+})
@@ -0,0 +1,183 @@
+import { strictEqual, deepStrictEqual, notDeepStrictEqual, notStrictEqual } from 'assert'
+import { rimraf } from 'rimraf'
+import path from 'path'
+import { createOrbitDB, KeyValueIndexed } from '@orbitdb/core'
+import createHelia from './utils/create-helia.js'
+import catchError from './utils/catch-error.js'
+
+import SimpleEncryption, { DeterministicEncryption, AuthenticationFailedError, InvalidInputError, WrongKeyError } from '../src/index.js'
+import { decodeHeader, Flags } from '../src/format.js'
+
+const dbPath = './orbitdb/tests/deterministic'
+
+describe('Deterministic Encryption', function () {
+  this.timeout(10000)
+
+  const encoded = new TextEncoder().encode('some text')
+  const key = crypto.getRandomValues(new Uint8Array(32))
+
+  describe('Encrypting and decrypting values', function () {
+    it('encrypts the same value to the same ciphertext', async () => {
+      const encryption = await DeterministicEncryption({ key })
+
+      const encrypted1 = await encryption.encrypt(encoded)
+      const encrypted2 = await encryption.encrypt(encoded)
+
+      deepStrictEqual(encrypted1, encrypted2)
+      deepStrictEqual(await encryption.decrypt(encrypted1), encoded)
+      strictEqual(decodeHeader(encrypted1).flags & Flags.DETERMINISTIC, Flags.DETERMINISTIC)
+    })
+
+    it('encrypts different values with different nonces', async () => {
+      const encryption = await DeterministicEncryption({ key })
+
+      const encrypted1 = await encryption.encrypt(new TextEncoder().encode('value 1'))
+      const encrypted2 = await encryption.encrypt(new TextEncoder().encode('value 2'))
+
+      notDeepStrictEqual(decodeHeader(encrypted1).nonce, decodeHeader(encrypted2).nonce)
+    })
+
+    it('encrypts the same value to the same ciphertext with another instance using the same password and salt', async () => {
+      const encryption1 = await DeterministicEncryption({ password: 'hello', salt: 'contacts' })
+      const encryption2 = await DeterministicEncryption({ password: 'hello', salt: 'contacts' })
+
+      deepStrictEqual(await encryption1.encrypt(encoded), await encryption2.encrypt(encoded))
+      deepStrictEqual(await encryption2.decrypt(await encryption1.encrypt(encoded)), encoded)
+    })
+
+    it('encrypts the same value to different ciphertexts with different salts', async () => {
+      const encryption1 = await DeterministicEncryption({ password: 'hello', salt: 'contacts' })
+      const encryption2 = await DeterministicEncryption({ password: 'hello', salt: 'messages' })
+
+      notDeepStrictEqual(await encryption1.encrypt(encoded), await encryption2.encrypt(encoded))
+
+      const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+      strictEqual(err instanceof WrongKeyError, true)
+    })
+
+    it('derives the key with scrypt', async () => {
+      const encryption = await DeterministicEncryption({ password: 'hello', salt: 'contacts', kdf: { name: 'scrypt', N: 1024 }, keyLength: 256 })
+
+      deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+    })
+
+    it('binds values to associated data', async () => {
+      const encryption = await DeterministicEncryption({ key, associatedData: 'db1' })
+
+      const encrypted1 = await encryption.encrypt(encoded, { associatedData: 'field1' })
+      const encrypted2 = await encryption.encrypt(encoded, { associatedData: 'field2' })
+
+      notDeepStrictEqual(encrypted1, encrypted2)
+      deepStrictEqual(await encryption.decrypt(encrypted1, { associatedData: 'field1' }), encoded)
+
+      const err = await catchError(() => encryption.decrypt(encrypted1, { associatedData: 'field2' }))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('encrypts and decrypts strings', async () => {
+      const encryption = await DeterministicEncryption({ key })
+
+      const encrypted = await encryption.encryptString('alice')
+
+      strictEqual(encrypted, await encryption.encryptString('alice'))
+      strictEqual(/^[A-Za-z0-9_-]+$/.test(encrypted), true)
+      strictEqual(await encryption.decryptString(encrypted), 'alice')
+    })
+
+    it('fails to decrypt a tampered ciphertext', async () => {
+      const encryption = await DeterministicEncryption({ key })
+      const encrypted = await encryption.encrypt(encoded)
+      encrypted[encrypted.length - 1] ^= 1
+
+      const err = await catchError(() => encryption.decrypt(encrypted))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt with the wrong key', async () => {
+      const encryption1 = await DeterministicEncryption({ key })
+      const encryption2 = await DeterministicEncryption({ key: crypto.getRandomValues(new Uint8Array(32)) })
+
+      const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('doesn\'t mix deterministic and randomized ciphertexts', async () => {
+      const deterministic = await DeterministicEncryption({ key })
+      const randomized = await SimpleEncryption({ key })
+
+      const err1 = await catchError(async () => randomized.decrypt(await deterministic.encrypt(encoded)))
+      strictEqual(err1 instanceof WrongKeyError, true)
+      strictEqual(err1.message, 'Ciphertext was encrypted deterministically')
+
+      const err2 = await catchError(async () => deterministic.decrypt(await randomized.encrypt(encoded)))
+      strictEqual(err2 instanceof WrongKeyError, true)
+      strictEqual(err2.message, 'Ciphertext was not encrypted deterministically')
+    })
+
+    it('requires a salt with a password', async () => {
+      const err = await catchError(() => DeterministicEncryption({ password: 'hello' }))
+
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'A deterministic key derived from a password requires a salt')
+    })
+
+    it('requires a raw key', async () => {
+      const err = await catchError(() => DeterministicEncryption({ key: new Uint8Array(10) }))
+
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'key must be 16 or 32 bytes long')
+    })
+  })
+
+  describe('Encrypting the keys of a keyvalue database', function () {
+    let ipfs
+    let orbitdb
+
+    before(async () => {
+      await rimraf('./orbitdb')
+
+      ipfs = await createHelia()
+      orbitdb = await createOrbitDB({ ipfs, id: 'user1', directory: path.join(dbPath, '1') })
+    })
+
+    after(async () => {
+      if (orbitdb) {
+        await orbitdb.stop()
+      }
+
+      if (ipfs) {
+        await ipfs.stop()
+      }
+
+      await rimraf('./orbitdb')
+    })
+
+    it('gets values by encrypted keys', async () => {
+      const keys = await DeterministicEncryption({ password: 'hello', salt: 'contacts' })
+      const encryption = {
+        data: await SimpleEncryption({ password: 'world' }),
+        replication: await SimpleEncryption({ password: 'world' })
+      }
+
+      const db = await orbitdb.open('deterministic-keys', { Database: KeyValueIndexed(), encryption })
+      await db.put(await keys.encryptString('alice'), 'alice@example.com')
+      await db.put(await keys.encryptString('bob'), 'bob@example.com')
+
+      strictEqual(await db.get(await keys.encryptString('alice')), 'alice@example.com')
+
+      const all = await db.all()
+      strictEqual(all.some(({ key }) => key === 'alice' || key === 'bob'), false)
+
+      const decrypted = await Promise.all(all.map(async ({ key, value }) => ({ key: await keys.decryptString(key), value })))
+      deepStrictEqual(decrypted.sort((a, b) => a.key.localeCompare(b.key)), [
+        { key: 'alice', value: 'alice@example.com' },
+        { key: 'bob', value: 'bob@example.com' }
+      ])
+
+      notStrictEqual(await keys.encryptString('alice'), await keys.encryptString('bob'))
+
+      await db.drop()
+      await db.close()
+    })
+  })
+})
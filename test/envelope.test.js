@@ -0,0 +1,171 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import { EnvelopeEncryption, generateKeyPair, createEnvelope, grantAccess, revokeAccess } from '../src/index.js'
+
+describe('Envelope Encryption', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  let alice, bob, carol
+
+  before(function () {
+    alice = generateKeyPair()
+    bob = generateKeyPair()
+    carol = generateKeyPair()
+  })
+
+  describe('Sharing a data key', function () {
+    it('encrypts and decrypts values for every recipient', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey, bob.publicKey] })
+
+      const encryption1 = await EnvelopeEncryption({ envelope, privateKey: alice.privateKey })
+      const encryption2 = await EnvelopeEncryption({ envelope, privateKey: bob.privateKey })
+
+      const encrypted = await encryption1.encrypt(encoded)
+
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('can be serialized as JSON', async function () {
+      const envelope = JSON.parse(JSON.stringify(await createEnvelope({ recipients: [alice.publicKey] })))
+      const encryption = await EnvelopeEncryption({ envelope, privateKey: alice.privateKey })
+
+      deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+    })
+
+    it('throws an error if the private key is not a recipient', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey] })
+
+      let err
+      try {
+        await EnvelopeEncryption({ envelope, privateKey: bob.privateKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'No access to the active key of this envelope')
+    })
+  })
+
+  describe('Granting access', function () {
+    it('gives a new member access to existing values', async function () {
+      let envelope = await createEnvelope({ recipients: [alice.publicKey] })
+      const encryption1 = await EnvelopeEncryption({ envelope, privateKey: alice.privateKey })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      envelope = await grantAccess(envelope, { privateKey: alice.privateKey, recipient: bob.publicKey })
+      const encryption2 = await EnvelopeEncryption({ envelope, privateKey: bob.privateKey })
+
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('doesn\'t change the active data key', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey] })
+      const granted = await grantAccess(envelope, { privateKey: alice.privateKey, recipient: bob.publicKey })
+
+      strictEqual(granted.active, envelope.active)
+      strictEqual(granted.keys[0].recipients.length, 2)
+    })
+
+    it('can only be granted by a member', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey] })
+
+      let err
+      try {
+        await grantAccess(envelope, { privateKey: bob.privateKey, recipient: carol.publicKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'No access to this envelope')
+    })
+  })
+
+  describe('Revoking access', function () {
+    it('activates a new data key the revoked member has no access to', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey, bob.publicKey] })
+      const revoked = await revokeAccess(envelope, { recipient: bob.publicKey })
+
+      notEqual(revoked.active, envelope.active)
+
+      let err
+      try {
+        await EnvelopeEncryption({ envelope: revoked, privateKey: bob.privateKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'No access to the active key of this envelope')
+    })
+
+    it('keeps values written with previous data keys readable for the remaining members', async function () {
+      let envelope = await createEnvelope({ recipients: [alice.publicKey, bob.publicKey] })
+      const encryption1 = await EnvelopeEncryption({ envelope, privateKey: bob.privateKey })
+      const encrypted1 = await encryption1.encrypt(encoded)
+
+      envelope = await revokeAccess(envelope, { recipient: bob.publicKey })
+      const encryption2 = await EnvelopeEncryption({ envelope, privateKey: alice.privateKey })
+      const encrypted2 = await encryption2.encrypt(encoded)
+
+      deepStrictEqual(await encryption2.decrypt(encrypted1), encoded)
+      deepStrictEqual(await encryption2.decrypt(encrypted2), encoded)
+
+      let err
+      try {
+        await encryption1.decrypt(encrypted2)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+    })
+
+    it('can\'t revoke the last member', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey] })
+
+      let err
+      try {
+        await revokeAccess(envelope, { recipient: alice.publicKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Can\'t revoke access of the last member')
+    })
+
+    it('rejects an envelope without its active key', async function () {
+      const envelope = await createEnvelope({ recipients: [alice.publicKey, bob.publicKey] })
+
+      let err
+      try {
+        await revokeAccess({ ...envelope, active: 'other' }, { recipient: bob.publicKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.code, 'ERR_UNSUPPORTED_FORMAT')
+      strictEqual(err.message, 'Envelope has no active key')
+    })
+  })
+
+  describe('Options', function () {
+    it('requires recipients', async function () {
+      let err
+      try {
+        await createEnvelope({ recipients: [] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'recipients must be a non-empty Array of public keys')
+    })
+
+    it('rejects unsupported envelopes', async function () {
+      let err
+      try {
+        await EnvelopeEncryption({ envelope: { version: 2 }, privateKey: alice.privateKey })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Unsupported envelope')
+    })
+  })
+})
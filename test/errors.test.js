@@ -0,0 +1,147 @@
+import { strictEqual, notEqual, ok } from 'assert'
+import SimpleEncryption, {
+  reencryptDatabase,
+  verifyPassword,
+  EncryptionError,
+  InvalidInputError,
+  AuthenticationFailedError,
+  UnsupportedFormatError,
+  TruncatedCiphertextError,
+  WrongKeyError
+} from '../src/index.js'
+import { AES } from '../src/aes-gcm-pbkdf2.js'
+import { NonceSequence } from '../src/nonce.js'
+import catchError from './utils/catch-error.js'
+
+describe('Errors', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  it('throws an InvalidInputError for invalid data', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const err = await catchError(() => encryption.encrypt('some text'))
+
+    notEqual(err, undefined)
+    ok(err instanceof InvalidInputError)
+    ok(err instanceof EncryptionError)
+    ok(err instanceof Error)
+    strictEqual(err.code, 'ERR_INVALID_INPUT')
+    strictEqual(err.name, 'InvalidInputError')
+    strictEqual(err.message, 'Data to encrypt must be a TypedArray')
+  })
+
+  it('throws an InvalidInputError for invalid options', async function () {
+    const err = await catchError(() => SimpleEncryption({ password: 123 }))
+
+    ok(err instanceof InvalidInputError)
+    strictEqual(err.code, 'ERR_INVALID_INPUT')
+    strictEqual(err.message, 'password must be a String or a TypedArray')
+  })
+
+  it('throws an AuthenticationFailedError for a wrong password', async function () {
+    const encryption1 = await SimpleEncryption({ password: 'hello' })
+    const encryption2 = await SimpleEncryption({ password: 'olleh' })
+    const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+
+    ok(err instanceof AuthenticationFailedError)
+    strictEqual(err.code, 'ERR_AUTHENTICATION_FAILED')
+    strictEqual(err.cause.name, 'OperationError')
+  })
+
+  it('throws an AuthenticationFailedError for a wrong key', async function () {
+    const encryption1 = await SimpleEncryption({ key: crypto.getRandomValues(new Uint8Array(16)) })
+    const encryption2 = await SimpleEncryption({ key: crypto.getRandomValues(new Uint8Array(16)) })
+    const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+
+    ok(err instanceof AuthenticationFailedError)
+    strictEqual(err.code, 'ERR_AUTHENTICATION_FAILED')
+  })
+
+  it('throws an UnsupportedFormatError for an unknown format version', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await encryption.encrypt(encoded)
+    encrypted[2] = 99
+
+    const err = await catchError(() => encryption.decrypt(encrypted))
+
+    ok(err instanceof UnsupportedFormatError)
+    strictEqual(err.code, 'ERR_UNSUPPORTED_FORMAT')
+    strictEqual(err.message, 'Unsupported ciphertext format version 99')
+  })
+
+  it('throws a TruncatedCiphertextError for a truncated ciphertext', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await encryption.encrypt(encoded)
+
+    const err = await catchError(() => encryption.decrypt(encrypted.subarray(0, 12)))
+
+    ok(err instanceof TruncatedCiphertextError)
+    strictEqual(err.code, 'ERR_TRUNCATED_CIPHERTEXT')
+    strictEqual(err.message, 'Ciphertext is truncated')
+  })
+
+  it('throws a TruncatedCiphertextError for a ciphertext shorter than its authentication tag', async function () {
+    const password = await SimpleEncryption({ password: 'hello' })
+    const key = await SimpleEncryption({ key: crypto.getRandomValues(new Uint8Array(16)) })
+
+    for (const encryption of [password, key]) {
+      const encrypted = await encryption.encrypt(encoded)
+      const err = await catchError(() => encryption.decrypt(encrypted.subarray(0, encrypted.length - encoded.length - 10)))
+
+      ok(err instanceof TruncatedCiphertextError)
+      strictEqual(err.message, 'Ciphertext is truncated')
+    }
+  })
+
+  it('throws an EncryptionError when a nonce sequence is exhausted', async function () {
+    const nonces = NonceSequence({ interval: 1 })
+    nonces.next()
+
+    const err = await catchError(() => nonces.next())
+
+    ok(err instanceof EncryptionError)
+    strictEqual(err.message, 'Nonce sequence is exhausted')
+  })
+
+  it('throws a WrongKeyError for a ciphertext encrypted with a key instead of a password', async function () {
+    const encryption1 = await SimpleEncryption({ key: crypto.getRandomValues(new Uint8Array(16)) })
+    const encryption2 = await SimpleEncryption({ password: 'hello' })
+    const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+
+    ok(err instanceof WrongKeyError)
+    strictEqual(err.code, 'ERR_WRONG_KEY')
+    strictEqual(err.message, 'Ciphertext was encrypted with a key, not a password')
+  })
+
+  it('throws a WrongKeyError for a ciphertext encrypted with a password instead of a key', async function () {
+    const encryption1 = await SimpleEncryption({ password: 'hello' })
+    const encryption2 = await SimpleEncryption({ key: crypto.getRandomValues(new Uint8Array(16)) })
+    const err = await catchError(async () => encryption2.decrypt(await encryption1.encrypt(encoded)))
+
+    ok(err instanceof WrongKeyError)
+    strictEqual(err.code, 'ERR_WRONG_KEY')
+  })
+
+  it('throws typed errors from AES', async function () {
+    const err1 = await catchError(() => AES({ keyLength: 192 }))
+    ok(err1 instanceof InvalidInputError)
+
+    const aes = AES()
+    const password = new TextEncoder().encode('hello')
+    const encrypted = await aes.encrypt(encoded, password)
+    encrypted[encrypted.length - 1] ^= 1
+
+    const err2 = await catchError(() => aes.decrypt(encrypted, password))
+    ok(err2 instanceof AuthenticationFailedError)
+  })
+
+  it('throws typed errors when re-encrypting and verifying databases', async function () {
+    const err1 = await catchError(() => reencryptDatabase(null, '/orbitdb/zdpu', { to: {} }))
+    ok(err1 instanceof InvalidInputError)
+    strictEqual(err1.code, 'ERR_INVALID_INPUT')
+    strictEqual(err1.message, 'Both from and to encryption must be given')
+
+    const err2 = await catchError(() => verifyPassword('/orbitdb/zdpu', {}))
+    ok(err2 instanceof InvalidInputError)
+    strictEqual(err2.message, 'An OrbitDB instance is needed to verify a password by address')
+  })
+})
@@ -0,0 +1,200 @@
+import { strictEqual, deepStrictEqual } from 'assert'
+import { rimraf } from 'rimraf'
+import path from 'path'
+import { createOrbitDB, Documents } from '@orbitdb/core'
+import createHelia from './utils/create-helia.js'
+import catchError from './utils/catch-error.js'
+
+import SimpleEncryption, { FieldEncryption, DeterministicEncryption, AuthenticationFailedError, InvalidInputError, UnsupportedFormatError } from '../src/index.js'
+
+const dbPath = './orbitdb/tests/fields'
+
+describe('Field Encryption', function () {
+  this.timeout(10000)
+
+  const document = {
+    _id: 'doc1',
+    type: 'patient',
+    ssn: '123-45-6789',
+    age: 42,
+    notes: { title: 'Checkup', tags: ['a', 'b'] },
+    contacts: [{ name: 'Alice', phone: '555-1234' }, { name: 'Bob', phone: '555-5678' }]
+  }
+
+  let encryption
+
+  before(async () => {
+    encryption = await SimpleEncryption({ password: 'hello' })
+  })
+
+  describe('Encrypting and decrypting documents', function () {
+    it('encrypts only the selected fields', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn', 'age'] })
+      const encrypted = await fields.encryptDocument(document)
+
+      strictEqual(encrypted._id, 'doc1')
+      strictEqual(encrypted.type, 'patient')
+      strictEqual(encrypted.ssn instanceof Uint8Array, true)
+      strictEqual(encrypted.age instanceof Uint8Array, true)
+      deepStrictEqual(encrypted.notes, document.notes)
+
+      deepStrictEqual(await fields.decryptDocument(encrypted), document)
+    })
+
+    it('doesn\'t change the document', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn', 'notes.title'] })
+      const copy = structuredClone(document)
+
+      await fields.encryptDocument(copy)
+
+      deepStrictEqual(copy, document)
+    })
+
+    it('encrypts nested fields and wildcards', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['notes.*', 'contacts.*.phone'] })
+      const encrypted = await fields.encryptDocument(document)
+
+      strictEqual(encrypted.notes.title instanceof Uint8Array, true)
+      strictEqual(encrypted.notes.tags instanceof Uint8Array, true)
+      deepStrictEqual(encrypted.contacts.map(({ name }) => name), ['Alice', 'Bob'])
+      strictEqual(encrypted.contacts.every(({ phone }) => phone instanceof Uint8Array), true)
+
+      deepStrictEqual(await fields.decryptDocument(encrypted), document)
+    })
+
+    it('skips fields the document doesn\'t have', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn', 'address.street'] })
+      const encrypted = await fields.encryptDocument({ _id: 'doc2', type: 'patient' })
+
+      deepStrictEqual(encrypted, { _id: 'doc2', type: 'patient' })
+      deepStrictEqual(await fields.decryptDocument(encrypted), { _id: 'doc2', type: 'patient' })
+    })
+
+    it('encrypts overlapping fields', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['notes.title', 'notes'] })
+      const encrypted = await fields.encryptDocument(document)
+
+      strictEqual(encrypted.notes instanceof Uint8Array, true)
+      deepStrictEqual(await fields.decryptDocument(encrypted), document)
+    })
+
+    it('doesn\'t encrypt the id with a wildcard', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['*'] })
+      const encrypted = await fields.encryptDocument(document)
+
+      strictEqual(encrypted._id, 'doc1')
+      strictEqual(encrypted.type instanceof Uint8Array, true)
+      deepStrictEqual(await fields.decryptDocument(encrypted), document)
+    })
+
+    it('fails to decrypt a field moved to another document', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn'] })
+      const encrypted1 = await fields.encryptDocument(document)
+      const encrypted2 = await fields.encryptDocument({ ...document, _id: 'doc2', ssn: '987-65-4321' })
+
+      const err = await catchError(() => fields.decryptDocument({ ...encrypted2, ssn: encrypted1.ssn }))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt a field moved to another field', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn', 'type'] })
+      const encrypted = await fields.encryptDocument(document)
+
+      const err = await catchError(() => fields.decryptDocument({ ...encrypted, type: encrypted.ssn }))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt a field that is not encrypted', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn'] })
+
+      const err = await catchError(() => fields.decryptDocument(document))
+      strictEqual(err instanceof UnsupportedFormatError, true)
+      strictEqual(err.message, 'Field ssn is not encrypted')
+    })
+
+    it('encrypts fields deterministically', async () => {
+      const fields = FieldEncryption({ encryption: await DeterministicEncryption({ password: 'hello', salt: 'patients' }), fields: ['ssn'] })
+
+      const encrypted1 = await fields.encryptDocument(document)
+      const encrypted2 = await fields.encryptDocument(document)
+
+      deepStrictEqual(encrypted1.ssn, encrypted2.ssn)
+      deepStrictEqual(await fields.decryptDocument(encrypted1), document)
+    })
+
+    it('requires fields', async () => {
+      const err = await catchError(() => FieldEncryption({ encryption, fields: [] }))
+
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'fields must be a non-empty Array of Strings')
+    })
+
+    it('doesn\'t encrypt the id', async () => {
+      const err = await catchError(() => FieldEncryption({ encryption, fields: ['_id'] }))
+
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'The _id field can\'t be encrypted')
+    })
+  })
+
+  describe('Using field encryption with a documents database', function () {
+    let ipfs
+    let orbitdb
+
+    before(async () => {
+      await rimraf('./orbitdb')
+
+      ipfs = await createHelia()
+      orbitdb = await createOrbitDB({ ipfs, id: 'user1', directory: path.join(dbPath, '1') })
+    })
+
+    after(async () => {
+      if (orbitdb) {
+        await orbitdb.stop()
+      }
+
+      if (ipfs) {
+        await ipfs.stop()
+      }
+
+      await rimraf('./orbitdb')
+    })
+
+    it('encrypts the selected fields of documents', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn', 'contacts.*.phone'] })
+      const raw = await orbitdb.open('encrypted-fields', { type: 'documents' })
+      const db = fields.wrap(raw)
+
+      await db.put(document)
+      await db.put({ _id: 'doc2', type: 'doctor', ssn: '987-65-4321' })
+
+      const stored = await raw.get('doc1')
+      strictEqual(stored.value.type, 'patient')
+      strictEqual(stored.value.ssn instanceof Uint8Array, true)
+
+      deepStrictEqual((await db.get('doc1')).value, document)
+      deepStrictEqual(await db.query(doc => doc.ssn === '123-45-6789'), [document])
+      deepStrictEqual((await db.all()).map(({ value }) => value._id), ['doc1', 'doc2'])
+
+      const ids = []
+      for await (const { value } of db.iterator()) {
+        ids.push(value._id)
+      }
+      deepStrictEqual(ids, ['doc2', 'doc1'])
+
+      await db.drop()
+      await db.close()
+    })
+
+    it('requires the database to be indexed by the same field', async () => {
+      const fields = FieldEncryption({ encryption, fields: ['ssn'] })
+      const db = await orbitdb.open('encrypted-fields-index', { type: 'documents', Database: Documents({ indexBy: 'id' }) })
+
+      const err = await catchError(() => fields.wrap(db))
+      strictEqual(err instanceof InvalidInputError, true)
+
+      await db.drop()
+      await db.close()
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import { concat } from 'uint8arrays/concat'
+import SimpleEncryption from '../src/index.js'
+import { MAGIC, VERSION, Algorithms, KDFs, decodeHeader, decodePBKDF2Params } from '../src/format.js'
+
+// Encrypts the way versions without a ciphertext header did
+const legacyEncrypt = async (data, password, salt = crypto.getRandomValues(new Uint8Array(16))) => {
+  const nonce = crypto.getRandomValues(new Uint8Array(12))
+  const rawKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveKey'])
+  const key = await crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations: 32767, hash: { name: 'SHA-256' } }, rawKey, { name: 'AES-GCM', length: 128 }, true, ['encrypt'])
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, data)
+  return concat([salt, nonce, new Uint8Array(ciphertext)])
+}
+
+describe('Ciphertext format', function () {
+  it('writes a versioned header', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await encryption.encrypt(new TextEncoder().encode('some text'))
+
+    deepStrictEqual(Uint8Array.from(encrypted.subarray(0, 2)), MAGIC)
+
+    const header = decodeHeader(encrypted)
+    strictEqual(header.version, VERSION)
+    strictEqual(header.algorithm, Algorithms.AES_128_GCM)
+    strictEqual(header.kdf, KDFs.PBKDF2_SHA256)
+    deepStrictEqual(decodePBKDF2Params(header.kdfParams), { iterations: 32767 })
+    strictEqual(header.salt.length, 16)
+    strictEqual(header.nonce.length, 12)
+  })
+
+  it('decrypts legacy ciphertexts without a header', async function () {
+    const encoded = new TextEncoder().encode('some text')
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await legacyEncrypt(encoded, 'hello')
+    const decrypted = await encryption.decrypt(encrypted)
+    deepStrictEqual(decrypted, encoded)
+  })
+
+  it('decrypts legacy ciphertexts whose salt starts with the magic bytes', async function () {
+    const encoded = new TextEncoder().encode('some text')
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    salt.set(MAGIC)
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await legacyEncrypt(encoded, 'hello', salt)
+    const decrypted = await encryption.decrypt(encrypted)
+    deepStrictEqual(decrypted, encoded)
+  })
+
+  it('throws an error if the header has been tampered with', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await encryption.encrypt(new TextEncoder().encode('some text'))
+    const tampered = encrypted.slice()
+    // Flip a bit of the recorded iteration count
+    tampered[10] ^= 1
+
+    let err
+    try {
+      await encryption.decrypt(tampered)
+    } catch (e) {
+      err = e
+    }
+    notEqual(err, undefined)
+  })
+
+  it('rejects unknown format versions', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+    const encrypted = await encryption.encrypt(new TextEncoder().encode('some text'))
+    const tampered = encrypted.slice()
+    tampered[2] = VERSION + 1
+
+    let err
+    try {
+      decodeHeader(tampered)
+    } catch (e) {
+      err = e
+    }
+    notEqual(err, undefined)
+    strictEqual(err.message, `Unsupported ciphertext format version ${VERSION + 1}`)
+  })
+})
@@ -0,0 +1,134 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import { Identities, KeyStore, MemoryStorage } from '@orbitdb/core'
+import { IdentityEncryption } from '../src/index.js'
+
+describe('Identity Encryption', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  let keystore
+  let alice, bob, carol
+
+  before(async function () {
+    keystore = await KeyStore({ storage: await MemoryStorage() })
+    const identities = await Identities({ keystore })
+    alice = await identities.createIdentity({ id: 'alice' })
+    bob = await identities.createIdentity({ id: 'bob' })
+    carol = await identities.createIdentity({ id: 'carol' })
+  })
+
+  after(async function () {
+    await keystore.close()
+  })
+
+  describe('Encrypting and decrypting values', function () {
+    it('decrypts values it encrypted', async function () {
+      const encryption = await IdentityEncryption({ identity: alice, keystore })
+      const encrypted = await encryption.encrypt(encoded)
+
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('decrypts values encrypted for the identity by others', async function () {
+      const encryption1 = await IdentityEncryption({ identity: alice, keystore, recipients: [bob] })
+      const encryption2 = await IdentityEncryption({ identity: bob, keystore })
+
+      const encrypted = await encryption1.encrypt(encoded)
+
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('accepts public keys as recipients', async function () {
+      const encryption1 = await IdentityEncryption({ identity: alice, keystore, recipients: [bob.publicKey] })
+      const encryption2 = await IdentityEncryption({ identity: bob, keystore })
+
+      const encrypted = await encryption1.encrypt(encoded)
+
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('encrypts every value for every recipient', async function () {
+      const encryption1 = await IdentityEncryption({ identity: alice, keystore, recipients: [bob, carol] })
+      const encryption2 = await IdentityEncryption({ identity: bob, keystore })
+      const encryption3 = await IdentityEncryption({ identity: carol, keystore })
+
+      const encrypted1 = await encryption1.encrypt(encoded)
+      const encrypted2 = await encryption1.encrypt(encoded)
+
+      notEqual(encrypted1.toString(), encrypted2.toString())
+      deepStrictEqual(await encryption2.decrypt(encrypted1), encoded)
+      deepStrictEqual(await encryption3.decrypt(encrypted2), encoded)
+    })
+
+    it('throws an error if a value was not encrypted for the identity', async function () {
+      const encryption1 = await IdentityEncryption({ identity: alice, keystore, recipients: [bob] })
+      const encryption2 = await IdentityEncryption({ identity: carol, keystore })
+
+      const encrypted = await encryption1.encrypt(encoded)
+
+      let err
+      try {
+        await encryption2.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Ciphertext was not encrypted for this identity')
+    })
+
+    it('throws an error if the recipients were tampered with', async function () {
+      const encryption1 = await IdentityEncryption({ identity: alice, keystore, recipients: [bob, carol] })
+      const encryption2 = await IdentityEncryption({ identity: bob, keystore })
+
+      const encrypted = await encryption1.encrypt(encoded)
+      // Replace carol's wrapped key with bob's
+      encrypted.set(encrypted.subarray(2 + 73, 2 + 2 * 73), 2 + 2 * 73)
+
+      let err
+      try {
+        await encryption2.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+    })
+  })
+
+  describe('Options', function () {
+    it('requires an identity', async function () {
+      let err
+      try {
+        await IdentityEncryption({ keystore })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'identity must be an OrbitDB identity')
+    })
+
+    it('requires the identity\'s private key', async function () {
+      const other = await KeyStore({ storage: await MemoryStorage() })
+
+      let err
+      try {
+        await IdentityEncryption({ identity: alice, keystore: other })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, `No private key for identity ${alice.id} in the keystore`)
+
+      await other.close()
+    })
+
+    it('requires valid recipients', async function () {
+      let err
+      try {
+        await IdentityEncryption({ identity: alice, keystore, recipients: [42] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'recipients must be identities or public keys')
+    })
+  })
+})
@@ -1,5 +1,6 @@
-import { strictEqual, notDeepStrictEqual } from 'assert'
+import { strictEqual, deepStrictEqual, notDeepStrictEqual } from 'assert'
 import SimpleEncryption from '../src/index.js'
+import { decodeHeader } from '../src/format.js'
 
 describe('Initialization Vector', function () {
   this.timeout(45000)
@@ -8,20 +9,39 @@ describe('Initialization Vector', function () {
 
     let encrypted = await encryption.encrypt(new TextEncoder().encode('world' + 0))
 
-    let currentSalt = encrypted.subarray(0, 16)
-    let currentNonce = encrypted.subarray(16, 28)
+    let { salt: currentSalt, nonce: currentNonce } = decodeHeader(encrypted)
 
     for (let i = 1; i < encryption.ivInterval * 10; i++) {
       encrypted = await encryption.encrypt(new TextEncoder().encode('world' + i))
+      const { salt, nonce } = decodeHeader(encrypted)
       if (i % encryption.ivInterval === 0) {
-        notDeepStrictEqual(encrypted.subarray(0, 16), currentSalt)
-        notDeepStrictEqual(encrypted.subarray(16, 28), currentNonce)
+        notDeepStrictEqual(salt, currentSalt)
+        notDeepStrictEqual(nonce, currentNonce)
       }
-      currentSalt = encrypted.subarray(0, 16)
-      currentNonce = encrypted.subarray(16, 28)
+      currentSalt = salt
+      currentNonce = nonce
 
       const decrypted = await encryption.decrypt(encrypted)
       strictEqual(new TextDecoder().decode(decrypted), 'world' + i)
     }
   })
+
+  it('never repeats a nonce within the lifetime of a key', async function () {
+    const encryption = await SimpleEncryption({ password: 'hello' })
+
+    const nonces = new Set()
+    let firstSalt
+
+    for (let i = 0; i < encryption.ivInterval; i++) {
+      const encrypted = await encryption.encrypt(new TextEncoder().encode('world'))
+      const { salt, nonce } = decodeHeader(encrypted)
+      if (i === 0) {
+        firstSalt = salt
+      }
+      deepStrictEqual(salt, firstSalt)
+      nonces.add(nonce.toString())
+    }
+
+    strictEqual(nonces.size, encryption.ivInterval)
+  })
 })
@@ -0,0 +1,179 @@
+import { strictEqual, deepStrictEqual, notEqual, ok } from 'assert'
+import SimpleEncryption, { InvalidInputError, UnsupportedFormatError } from '../src/index.js'
+import { Algorithms, KDFs, decodeHeader, encodePBKDF2Params, decodePBKDF2Params, encodeScryptParams, decodeScryptParams, encodeArgon2idParams, decodeArgon2idParams } from '../src/format.js'
+
+describe('Key derivation', function () {
+  this.timeout(10000)
+
+  const encoded = new TextEncoder().encode('some text')
+
+  describe('PBKDF2', function () {
+    it('uses the configured number of iterations', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'pbkdf2', iterations: 100000 } })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const { kdf, kdfParams } = decodeHeader(encrypted)
+      strictEqual(kdf, KDFs.PBKDF2_SHA256)
+      deepStrictEqual(decodePBKDF2Params(kdfParams), { iterations: 100000 })
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('derives 256-bit keys', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', keyLength: 256 })
+      const encrypted = await encryption.encrypt(encoded)
+
+      strictEqual(decodeHeader(encrypted).algorithm, Algorithms.AES_256_GCM)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can\'t have zero iterations', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', kdf: { name: 'pbkdf2', iterations: 0 } })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Invalid pbkdf2 parameters')
+    })
+  })
+
+  describe('scrypt', function () {
+    it('encrypts and decrypts with scrypt', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 1024, r: 8, p: 1 }, keyLength: 256 })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const { kdf, kdfParams } = decodeHeader(encrypted)
+      strictEqual(kdf, KDFs.SCRYPT)
+      deepStrictEqual(decodeScryptParams(kdfParams), { N: 1024, r: 8, p: 1 })
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can\'t have an N that is not a power of two', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 1000 } })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Invalid scrypt parameters')
+    })
+  })
+
+  describe('Argon2id', function () {
+    it('encrypts and decrypts with Argon2id', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'argon2id', memory: 256, iterations: 1, parallelism: 1 } })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const { kdf, kdfParams } = decodeHeader(encrypted)
+      strictEqual(kdf, KDFs.ARGON2ID)
+      deepStrictEqual(decodeArgon2idParams(kdfParams), { memory: 256, iterations: 1, parallelism: 1 })
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+  })
+
+  describe('Reading parameters from the ciphertext', function () {
+    it('decrypts ciphertexts written with different parameters', async function () {
+      const writer = await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 1024, r: 8, p: 1 }, keyLength: 256 })
+      const reader = await SimpleEncryption({ password: 'hello' })
+      const encrypted = await writer.encrypt(encoded)
+      deepStrictEqual(await reader.decrypt(encrypted), encoded)
+    })
+
+    it('rejects parameters above the limits', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello' })
+      const encrypted = await encryption.encrypt(encoded)
+      const { kdfParams } = decodeHeader(encrypted)
+      const tampered = encrypted.slice()
+      tampered.set(encodePBKDF2Params({ iterations: 0xffffffff }), kdfParams.byteOffset - encrypted.byteOffset)
+
+      let err
+      try {
+        await encryption.decrypt(tampered)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Invalid pbkdf2 parameters')
+    })
+  })
+
+  describe('Limiting the memory of key derivations', function () {
+    // Replaces the key derivation parameters of the ciphertext
+    const tamper = (encrypted, params) => {
+      const { kdfParams } = decodeHeader(encrypted)
+      const tampered = encrypted.slice()
+      tampered.set(params, kdfParams.byteOffset - encrypted.byteOffset)
+      return tampered
+    }
+
+    it('rejects scrypt parameters that need more than 256 MiB before deriving a key', async function () {
+      // Deriving a key with these parameters would need 2 GiB
+      this.timeout(2000)
+
+      const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 1024, r: 8, p: 1 } })
+      const tampered = tamper(await encryption.encrypt(encoded), encodeScryptParams({ N: 2 ** 20, r: 16, p: 1 }))
+
+      let err
+      try {
+        await encryption.decrypt(tampered)
+      } catch (e) {
+        err = e
+      }
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Invalid scrypt parameters')
+    })
+
+    it('rejects Argon2id parameters that need more than 256 MiB before deriving a key', async function () {
+      this.timeout(2000)
+
+      const encryption = await SimpleEncryption({ password: 'hello', kdf: { name: 'argon2id', memory: 256, iterations: 1, parallelism: 1 } })
+      const tampered = tamper(await encryption.encrypt(encoded), encodeArgon2idParams({ memory: 2 ** 20, iterations: 1, parallelism: 1 }))
+
+      let err
+      try {
+        await encryption.decrypt(tampered)
+      } catch (e) {
+        err = e
+      }
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Invalid argon2id parameters')
+    })
+
+    it('can\'t create an encryption that needs more than 256 MiB', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', kdf: { name: 'scrypt', N: 2 ** 18, r: 8, p: 2 } })
+      } catch (e) {
+        err = e
+      }
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Invalid scrypt parameters')
+    })
+  })
+
+  describe('Options', function () {
+    it('can\'t use an unknown key derivation function', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', kdf: { name: 'bcrypt' } })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Unsupported key derivation function bcrypt')
+    })
+
+    it('can\'t use an unsupported key length', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', keyLength: 192 })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'keyLength must be 128 or 256')
+    })
+  })
+})
@@ -0,0 +1,109 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import SimpleEncryption from '../src/index.js'
+import { KeyCache } from '../src/key-cache.js'
+
+describe('Key Cache', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  describe('Caching keys', function () {
+    it('derives a key once', async function () {
+      const cache = KeyCache()
+      let derived = 0
+      const derive = async () => ++derived
+
+      strictEqual(await cache.get('a', derive), 1)
+      strictEqual(await cache.get('a', derive), 1)
+      strictEqual(derived, 1)
+      deepStrictEqual(cache.stats(), { hits: 1, misses: 1, size: 1, maxSize: 64 })
+    })
+
+    it('shares a derivation that is in flight', async function () {
+      const cache = KeyCache()
+      let derived = 0
+      const derive = async () => ++derived
+
+      const keys = await Promise.all([cache.get('a', derive), cache.get('a', derive), cache.get('a', derive)])
+
+      deepStrictEqual(keys, [1, 1, 1])
+      strictEqual(derived, 1)
+    })
+
+    it('evicts the least recently used key', async function () {
+      const cache = KeyCache({ maxSize: 2 })
+      const derive = (key) => async () => key
+
+      await cache.get('a', derive('a'))
+      await cache.get('b', derive('b'))
+      await cache.get('a', derive('a'))
+      await cache.get('c', derive('c'))
+
+      strictEqual(await cache.get('a', derive('new a')), 'a')
+      strictEqual(await cache.get('b', derive('new b')), 'new b')
+      deepStrictEqual(cache.stats(), { hits: 2, misses: 4, size: 2, maxSize: 2 })
+    })
+
+    it('doesn\'t cache failed derivations', async function () {
+      const cache = KeyCache()
+
+      let err
+      try {
+        await cache.get('a', async () => { throw new Error('failed') })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+
+      strictEqual(await cache.get('a', async () => 'a'), 'a')
+    })
+  })
+
+  describe('Decrypting values of several writers', function () {
+    it('derives one key per writer', async function () {
+      const writers = await Promise.all([1, 2, 3].map(() => SimpleEncryption({ password: 'hello' })))
+      const reader = await SimpleEncryption({ password: 'hello' })
+
+      for (let i = 0; i < 30; i++) {
+        const encrypted = await writers[i % writers.length].encrypt(encoded)
+        deepStrictEqual(await reader.decrypt(encrypted), encoded)
+      }
+
+      deepStrictEqual(reader.keyCache.stats(), { hits: 27, misses: 3, size: 3, maxSize: 64 })
+    })
+
+    it('has a configurable size', async function () {
+      const writers = await Promise.all([1, 2, 3].map(() => SimpleEncryption({ password: 'hello' })))
+      const reader = await SimpleEncryption({ password: 'hello', keyCacheSize: 2 })
+
+      for (let i = 0; i < 6; i++) {
+        await reader.decrypt(await writers[i % writers.length].encrypt(encoded))
+      }
+
+      deepStrictEqual(reader.keyCache.stats(), { hits: 0, misses: 6, size: 2, maxSize: 2 })
+    })
+
+    it('derives one key for a wrong password', async function () {
+      const writer = await SimpleEncryption({ password: 'hello' })
+      const reader = await SimpleEncryption({ password: 'world' })
+
+      let err
+      try {
+        await reader.decrypt(await writer.encrypt(encoded))
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      deepStrictEqual(reader.keyCache.stats(), { hits: 0, misses: 1, size: 1, maxSize: 64 })
+    })
+
+    it('requires a positive size', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', keyCacheSize: 0 })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'keyCacheSize must be a positive integer')
+    })
+  })
+})
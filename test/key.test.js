@@ -0,0 +1,146 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import SimpleEncryption from '../src/index.js'
+import { Algorithms, KDFs, decodeHeader } from '../src/format.js'
+
+describe('Encryption key', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  const generateKey = (extractable = false) => {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, extractable, ['encrypt', 'decrypt'])
+  }
+
+  describe('Encrypting and decrypting values', function () {
+    it('can be a 128-bit TypedArray', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(16))
+      const encryption = await SimpleEncryption({ key })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const { algorithm, kdf, salt } = decodeHeader(encrypted)
+      strictEqual(algorithm, Algorithms.AES_128_GCM)
+      strictEqual(kdf, KDFs.NONE)
+      strictEqual(salt.length, 0)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can be a 256-bit TypedArray', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(32))
+      const encryption = await SimpleEncryption({ key })
+      const encrypted = await encryption.encrypt(encoded)
+
+      strictEqual(decodeHeader(encrypted).algorithm, Algorithms.AES_256_GCM)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can be a JWK', async function () {
+      const key = await crypto.subtle.exportKey('jwk', await generateKey(true))
+      const encryption = await SimpleEncryption({ key })
+      const encrypted = await encryption.encrypt(encoded)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    })
+
+    it('can be a non-extractable CryptoKey', async function () {
+      const key = await generateKey()
+      const encryption = await SimpleEncryption({ key })
+      const encrypted = await encryption.encrypt(encoded)
+      deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+      strictEqual(key.extractable, false)
+    })
+
+    it('decrypts values encrypted by another instance with the same key', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(32))
+      const encryption1 = await SimpleEncryption({ key })
+      const encryption2 = await SimpleEncryption({ key })
+      const encrypted = await encryption1.encrypt(encoded)
+      deepStrictEqual(await encryption2.decrypt(encrypted), encoded)
+    })
+
+    it('uses a fresh nonce for every value', async function () {
+      const encryption = await SimpleEncryption({ key: await generateKey() })
+      const nonces = new Set()
+      for (let i = 0; i < 1000; i++) {
+        const encrypted = await encryption.encrypt(encoded)
+        nonces.add(decodeHeader(encrypted).nonce.toString())
+      }
+      strictEqual(nonces.size, 1000)
+    })
+
+    it('throws an error if the key is wrong', async function () {
+      const encryption1 = await SimpleEncryption({ key: await generateKey() })
+      const encryption2 = await SimpleEncryption({ key: await generateKey() })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      let err
+      try {
+        await encryption2.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+    })
+
+    it('throws an error if the value was encrypted with a password', async function () {
+      const encryption1 = await SimpleEncryption({ password: 'hello' })
+      const encryption2 = await SimpleEncryption({ key: await generateKey() })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      let err
+      try {
+        await encryption2.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Ciphertext was encrypted with a password, not a key')
+    })
+
+    it('throws an error if a password is used to decrypt a value encrypted with a key', async function () {
+      const encryption1 = await SimpleEncryption({ key: await generateKey() })
+      const encryption2 = await SimpleEncryption({ password: 'hello' })
+      const encrypted = await encryption1.encrypt(encoded)
+
+      let err
+      try {
+        await encryption2.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Ciphertext was encrypted with a key, not a password')
+    })
+  })
+
+  describe('Options', function () {
+    it('can\'t be a TypedArray of the wrong length', async function () {
+      let err
+      try {
+        await SimpleEncryption({ key: new Uint8Array(24) })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'key must be 16 or 32 bytes long')
+    })
+
+    it('can\'t be a number', async function () {
+      let err
+      try {
+        await SimpleEncryption({ key: 12345 })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'key must be a CryptoKey, a JWK or a TypedArray')
+    })
+
+    it('can\'t be given together with a password', async function () {
+      let err
+      try {
+        await SimpleEncryption({ password: 'hello', key: new Uint8Array(32) })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Provide either a password or a key, not both')
+    })
+  })
+})
@@ -0,0 +1,138 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import { toString } from 'uint8arrays/to-string'
+import SimpleEncryption, { Keyring } from '../src/index.js'
+import { decodeHeader } from '../src/format.js'
+
+describe('Keyring', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  const keys = [
+    { id: 'old', password: 'hello' },
+    { id: 'new', key: crypto.getRandomValues(new Uint8Array(32)) }
+  ]
+
+  describe('Encrypting and decrypting values', function () {
+    it('encrypts with the last key by default', async function () {
+      const keyring = await Keyring({ keys })
+      const encrypted = await keyring.encrypt(encoded)
+
+      strictEqual(keyring.active, 'new')
+      strictEqual(toString(decodeHeader(encrypted).keyId), 'new')
+      deepStrictEqual(await keyring.decrypt(encrypted), encoded)
+    })
+
+    it('encrypts with the active key', async function () {
+      const keyring = await Keyring({ keys, active: 'old' })
+      const encrypted = await keyring.encrypt(encoded)
+
+      strictEqual(toString(decodeHeader(encrypted).keyId), 'old')
+      deepStrictEqual(await keyring.decrypt(encrypted), encoded)
+    })
+
+    it('decrypts values encrypted with any key of the keyring', async function () {
+      const oldKeyring = await Keyring({ keys, active: 'old' })
+      const newKeyring = await Keyring({ keys, active: 'new' })
+
+      const encrypted1 = await oldKeyring.encrypt(encoded)
+      const encrypted2 = await newKeyring.encrypt(encoded)
+
+      deepStrictEqual(await newKeyring.decrypt(encrypted1), encoded)
+      deepStrictEqual(await oldKeyring.decrypt(encrypted2), encoded)
+    })
+
+    it('decrypts values that are not tagged with a key id', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello' })
+      const keyring = await Keyring({ keys })
+      const encrypted = await encryption.encrypt(encoded)
+
+      strictEqual(decodeHeader(encrypted).keyId, undefined)
+      deepStrictEqual(await keyring.decrypt(encrypted), encoded)
+    })
+
+    it('throws an error if a value is tagged with an unknown key id', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', keyId: 'other' })
+      const keyring = await Keyring({ keys })
+      const encrypted = await encryption.encrypt(encoded)
+
+      let err
+      try {
+        await keyring.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Unknown key id other')
+    })
+
+    it('throws an error if no key decrypts an untagged value', async function () {
+      const encryption = await SimpleEncryption({ password: 'olleh' })
+      const keyring = await Keyring({ keys })
+      const encrypted = await encryption.encrypt(encoded)
+
+      let err
+      try {
+        await keyring.decrypt(encrypted)
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+    })
+  })
+
+  describe('Options', function () {
+    it('can\'t be empty', async function () {
+      let err
+      try {
+        await Keyring({ keys: [] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'keys must be a non-empty Array')
+    })
+
+    it('can\'t have duplicate key ids', async function () {
+      let err
+      try {
+        await Keyring({ keys: [{ id: 'a', password: 'hello' }, { id: 'a', password: 'world' }] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Duplicate key id a')
+    })
+
+    it('can\'t activate an unknown key', async function () {
+      let err
+      try {
+        await Keyring({ keys, active: 'other' })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Unknown key id other')
+    })
+
+    it('can\'t have a key without an id', async function () {
+      let err
+      try {
+        await Keyring({ keys: [{ password: 'hello' }] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'Every key must have an id')
+    })
+
+    it('can\'t have a key id longer than 255 bytes', async function () {
+      let err
+      try {
+        await Keyring({ keys: [{ id: 'ü'.repeat(128), password: 'hello' }] })
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'keyId must be at most 255 bytes long')
+    })
+  })
+})
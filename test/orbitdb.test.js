@@ -10,7 +10,7 @@ import * as Block from 'multiformats/block'
 import * as dagCbor from '@ipld/dag-cbor'
 import { sha256 } from 'multiformats/hashes/sha2'
 
-import SimpleEncryption, { isDatabaseEncrypted } from '../src/index.js'
+import SimpleEncryption, { isDatabaseEncrypted, Keyring, IdentityEncryption } from '../src/index.js'
 
 const codec = dagCbor
 const hasher = sha256
@@ -374,6 +374,80 @@ describe('Encryption with OrbitDB', function () {
     })
   })
 
+  describe('Rolling key changes', async () => {
+    afterEach(async () => {
+      if (db1) {
+        await db1.drop()
+        await db1.close()
+      }
+    })
+
+    it('reads a log written with different keys of a keyring', async () => {
+      const keys = [
+        { id: 'old', password: 'hello' },
+        { id: 'new', password: 'world' }
+      ]
+
+      const oldKeyring = await Keyring({ keys, active: 'old' })
+      const newKeyring = await Keyring({ keys, active: 'new' })
+
+      db1 = await orbitdb1.open('encryption-keyring-test', { encryption: { replication: oldKeyring, data: oldKeyring } })
+      await db1.add('record 1')
+
+      const address = db1.address
+      await db1.close()
+
+      db1 = await orbitdb1.open(address, { encryption: { replication: newKeyring, data: newKeyring } })
+      await db1.add('record 2')
+
+      const all = await db1.all()
+
+      strictEqual(all.length, 2)
+      strictEqual(all[0].value, 'record 1')
+      strictEqual(all[1].value, 'record 2')
+    })
+  })
+
+  describe('Encrypting for identities', async () => {
+    afterEach(async () => {
+      if (db1) {
+        await db1.drop()
+        await db1.close()
+      }
+      if (db2) {
+        await db2.drop()
+        await db2.close()
+      }
+    })
+
+    it('replicates a database encrypted for the identities of its peers', async () => {
+      let connected = false
+      let updated = false
+
+      const encryption1 = await IdentityEncryption({ identity: orbitdb1.identity, keystore: orbitdb1.keystore, recipients: [orbitdb2.identity] })
+      const encryption2 = await IdentityEncryption({ identity: orbitdb2.identity, keystore: orbitdb2.keystore })
+
+      db1 = await orbitdb1.open('encryption-identity-test', { encryption: { replication: encryption1, data: encryption1 } })
+      db2 = await orbitdb2.open(db1.address, { encryption: { replication: encryption2, data: encryption2 } })
+
+      db2.events.on('join', () => { connected = true })
+      db2.events.on('update', () => { updated = true })
+
+      await waitFor(() => connected, () => true)
+
+      await db1.add('record 1')
+      await db1.add('record 2')
+
+      await waitFor(() => updated, () => true)
+
+      const all = await db2.all()
+
+      strictEqual(all.length, 2)
+      strictEqual(all[0].value, 'record 1')
+      strictEqual(all[1].value, 'record 2')
+    })
+  })
+
   describe('Opening encrypted database without encryption options', async () => {
     afterEach(async () => {
       if (db1) {
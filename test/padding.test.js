@@ -0,0 +1,130 @@
+import { strictEqual, deepStrictEqual, ok } from 'assert'
+import SimpleEncryption, { Keyring, InvalidInputError, UnsupportedFormatError } from '../src/index.js'
+import { decodeHeader, Flags, Paddings } from '../src/format.js'
+import { resolvePadding, unpad } from '../src/padding.js'
+import catchError from './utils/catch-error.js'
+
+describe('Padding', function () {
+  const encode = (text) => new TextEncoder().encode(text)
+
+  describe('Padding schemes', function () {
+    const paddedLengths = (padding, lengths) => lengths.map(length => resolvePadding(padding).pad(new Uint8Array(length)).length)
+
+    it('pads to a multiple of the block size', function () {
+      deepStrictEqual(paddedLengths({ name: 'block', size: 16 }, [0, 15, 16, 100]), [16, 16, 32, 112])
+    })
+
+    it('pads to blocks of 256 bytes by default', function () {
+      deepStrictEqual(paddedLengths({ name: 'block' }, [0, 255, 256]), [256, 256, 512])
+    })
+
+    it('pads to the next power of two', function () {
+      deepStrictEqual(paddedLengths({ name: 'pow2' }, [0, 1, 3, 100, 1000, 5000]), [1, 2, 4, 128, 1024, 8192])
+    })
+
+    it('pads to Padmé lengths', function () {
+      deepStrictEqual(paddedLengths({ name: 'padme' }, [0, 9, 100, 1000, 5000, 70000]), [1, 10, 104, 1024, 5120, 71680])
+    })
+
+    it('adds at most 12% to larger values with Padmé', function () {
+      for (let length = 1000; length < 100000; length += 997) {
+        const padded = resolvePadding({ name: 'padme' }).pad(new Uint8Array(length)).length
+        ok(padded / length <= 1.12, `${length} was padded to ${padded}`)
+      }
+    })
+
+    it('removes the padding', function () {
+      const data = Uint8Array.from([1, 0, 0x80, 0])
+      for (const padding of [{ name: 'block', size: 16 }, { name: 'pow2' }, { name: 'padme' }]) {
+        deepStrictEqual(unpad(resolvePadding(padding).pad(data)), data)
+      }
+    })
+
+    it('rejects invalid padding', async function () {
+      const err = await catchError(() => unpad(new Uint8Array(16)))
+
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Invalid padding')
+    })
+  })
+
+  describe('Encrypting padded values', function () {
+    it('hides the length of values', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', padding: { name: 'block', size: 64 } })
+
+      const yes = await encryption.encrypt(encode('yes'))
+      const no = await encryption.encrypt(encode('no'))
+
+      strictEqual(yes.length, no.length)
+      deepStrictEqual(await encryption.decrypt(yes), encode('yes'))
+      deepStrictEqual(await encryption.decrypt(no), encode('no'))
+    })
+
+    it('records the padding scheme in the header', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', padding: { name: 'padme' } })
+      const header = decodeHeader(await encryption.encrypt(encode('some text')))
+
+      strictEqual(header.flags & Flags.PADDED, Flags.PADDED)
+      strictEqual(header.padding, Paddings.PADME)
+    })
+
+    it('doesn\'t pad without the padding option', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello' })
+      const header = decodeHeader(await encryption.encrypt(encode('some text')))
+
+      strictEqual(header.flags & Flags.PADDED, 0)
+      strictEqual(header.padding, undefined)
+    })
+
+    it('pads values encrypted with a key', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(32))
+      const encryption = await SimpleEncryption({ key, padding: { name: 'pow2' } })
+
+      const encrypted = await encryption.encrypt(encode('some text'))
+
+      strictEqual(decodeHeader(encrypted).padding, Paddings.POW2)
+      deepStrictEqual(await encryption.decrypt(encrypted), encode('some text'))
+    })
+
+    it('pads values encrypted with a keyring', async function () {
+      const keyring = await Keyring({ keys: [{ id: 'padded', password: 'hello', padding: { name: 'padme' } }] })
+
+      const encrypted = await keyring.encrypt(encode('some text'))
+
+      strictEqual(decodeHeader(encrypted).padding, Paddings.PADME)
+      deepStrictEqual(await keyring.decrypt(encrypted), encode('some text'))
+    })
+
+    it('decrypts padded values without the padding option', async function () {
+      const padded = await SimpleEncryption({ password: 'hello', padding: { name: 'block' } })
+      const unpadded = await SimpleEncryption({ password: 'hello' })
+
+      deepStrictEqual(await unpadded.decrypt(await padded.encrypt(encode('some text'))), encode('some text'))
+      deepStrictEqual(await padded.decrypt(await unpadded.encrypt(encode('some text'))), encode('some text'))
+    })
+
+    it('rejects an unknown padding scheme in the header', async function () {
+      const encryption = await SimpleEncryption({ password: 'hello', padding: { name: 'pow2' } })
+      const encrypted = await encryption.encrypt(encode('some text'))
+      const { header } = decodeHeader(encrypted)
+      encrypted[header.length - 1] = 0xff
+
+      const err = await catchError(() => encryption.decrypt(encrypted))
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Unsupported padding 255')
+    })
+
+    it('rejects an unknown padding option', async function () {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', padding: { name: 'random' } }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Unsupported padding random')
+    })
+
+    it('rejects an invalid block size', async function () {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', padding: { name: 'block', size: 0 } }))
+
+      ok(err instanceof InvalidInputError)
+    })
+  })
+})
@@ -0,0 +1,125 @@
+import { strictEqual, deepStrictEqual, ok } from 'assert'
+import SimpleEncryption, { estimatePasswordStrength, checkPassword, EncryptionError, InvalidInputError, WeakPasswordError } from '../src/index.js'
+import catchError from './utils/catch-error.js'
+
+describe('Password Policy', function () {
+  describe('Estimating password strength', function () {
+    it('rates an empty password as very weak', function () {
+      deepStrictEqual(estimatePasswordStrength(''), { length: 0, entropy: 0, score: 0, common: false })
+    })
+
+    it('rates common passwords as very weak', function () {
+      for (const password of ['password', 'Password123', 'qwerty', 'iloveyou!']) {
+        const { score, common } = estimatePasswordStrength(password)
+        strictEqual(score, 0, password)
+        strictEqual(common, true, password)
+      }
+    })
+
+    it('rates repeated characters and runs as very weak', function () {
+      strictEqual(estimatePasswordStrength('aaaaaaaaaaaa').score, 0)
+      strictEqual(estimatePasswordStrength('abcdefghijkl').score, 0)
+      strictEqual(estimatePasswordStrength('9876543210').score, 0)
+    })
+
+    it('rates long and varied passwords as strong', function () {
+      ok(estimatePasswordStrength('correct horse battery staple').score >= 3)
+      strictEqual(estimatePasswordStrength('xK9#mQ2$vL7@pR4!').score, 4)
+    })
+
+    it('rates longer passwords higher', function () {
+      ok(estimatePasswordStrength('gT5kW2').entropy < estimatePasswordStrength('gT5kW2mZ8q').entropy)
+    })
+
+    it('counts characters, not bytes', function () {
+      strictEqual(estimatePasswordStrength('überpaß').length, 7)
+      strictEqual(estimatePasswordStrength(new TextEncoder().encode('überpaß')).length, 7)
+    })
+  })
+
+  describe('Checking passwords', function () {
+    it('rejects an empty password', async function () {
+      const err = await catchError(() => checkPassword(''))
+
+      ok(err instanceof WeakPasswordError)
+      ok(err instanceof EncryptionError)
+      strictEqual(err.code, 'ERR_WEAK_PASSWORD')
+      strictEqual(err.message, 'Password must not be empty')
+      deepStrictEqual(err.reasons, ['Password must not be empty'])
+    })
+
+    it('allows an empty password if the policy allows it', function () {
+      strictEqual(checkPassword('', { allowEmpty: true, minLength: 8 }).length, 0)
+    })
+
+    it('rejects a short password', async function () {
+      const err = await catchError(() => checkPassword('gT5kW2', { minLength: 8 }))
+
+      deepStrictEqual(err.reasons, ['Password must be at least 8 characters long'])
+    })
+
+    it('rejects a password that is easy to guess', async function () {
+      const err = await catchError(() => checkPassword('password1234', { minEntropy: 40 }))
+
+      deepStrictEqual(err.reasons, ['Password is too easy to guess'])
+    })
+
+    it('rejects a password on the deny list', async function () {
+      const err = await catchError(() => checkPassword('OrbitDB-Rocks', { denyList: ['orbitdb-rocks'] }))
+
+      deepStrictEqual(err.reasons, ['Password is not allowed'])
+    })
+
+    it('lists every requirement the password fails', async function () {
+      const err = await catchError(() => checkPassword('orbitdb', { minLength: 12, minEntropy: 60, denyList: ['orbitdb'] }))
+
+      deepStrictEqual(err.reasons, [
+        'Password must be at least 12 characters long',
+        'Password is too easy to guess',
+        'Password is not allowed'
+      ])
+      strictEqual(err.message, err.reasons.join('; '))
+    })
+
+    it('returns the strength of a password that meets the policy', function () {
+      const strength = checkPassword('xK9#mQ2$vL7@pR4!', { minLength: 12, minEntropy: 60 })
+
+      strictEqual(strength.score, 4)
+    })
+
+    it('rejects an invalid policy', async function () {
+      const err = await catchError(() => checkPassword('hello', { minLength: -1 }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Invalid password policy')
+    })
+  })
+
+  describe('Using a policy with SimpleEncryption', function () {
+    it('rejects a weak password', async function () {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', policy: { minLength: 12 } }))
+
+      ok(err instanceof WeakPasswordError)
+    })
+
+    it('rejects an empty password', async function () {
+      const err1 = await catchError(() => SimpleEncryption({ password: '', policy: {} }))
+      const err2 = await catchError(() => SimpleEncryption({ password: new Uint8Array(0), policy: {} }))
+
+      ok(err1 instanceof WeakPasswordError)
+      ok(err2 instanceof WeakPasswordError)
+    })
+
+    it('accepts a password that meets the policy', async function () {
+      const encryption = await SimpleEncryption({ password: 'xK9#mQ2$vL7@pR4!', policy: { minLength: 12, minEntropy: 60 } })
+      const encoded = new TextEncoder().encode('some text')
+
+      deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+    })
+
+    it('accepts any password without a policy', async function () {
+      await SimpleEncryption({ password: '' })
+      await SimpleEncryption({ password: 'hello' })
+    })
+  })
+})
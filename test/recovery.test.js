@@ -0,0 +1,178 @@
+import { strictEqual, deepStrictEqual, notStrictEqual, ok } from 'assert'
+import {
+  RecoverableEncryption,
+  createRecovery,
+  recoverWithPhrase,
+  InvalidInputError,
+  AuthenticationFailedError,
+  UnsupportedFormatError,
+  WeakPasswordError
+} from '../src/index.js'
+import catchError from './utils/catch-error.js'
+
+describe('Recovery', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  describe('Creating a recovery backup', function () {
+    it('creates a recovery phrase of 12 words', async function () {
+      const { phrase } = await createRecovery({ password: 'hello' })
+
+      strictEqual(phrase.split(' ').length, 12)
+    })
+
+    it('creates a recovery phrase of 24 words', async function () {
+      const { phrase } = await createRecovery({ password: 'hello', words: 24 })
+
+      strictEqual(phrase.split(' ').length, 24)
+    })
+
+    it('creates a different data key and phrase every time', async function () {
+      const recovery1 = await createRecovery({ password: 'hello' })
+      const recovery2 = await createRecovery({ password: 'hello' })
+
+      notStrictEqual(recovery1.phrase, recovery2.phrase)
+
+      const err = await catchError(async () => recovery2.encryption.decrypt(await recovery1.encryption.encrypt(encoded)))
+      ok(err instanceof AuthenticationFailedError)
+    })
+
+    it('stores the encrypted data keys in the backup', async function () {
+      const { backup } = await createRecovery({ password: 'hello' })
+
+      deepStrictEqual(Object.keys(backup), ['version', 'id', 'password', 'recovery'])
+      strictEqual(backup.version, 1)
+    })
+
+    it('rejects an invalid number of words', async function () {
+      const err = await catchError(() => createRecovery({ password: 'hello', words: 13 }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'words must be 12 or 24')
+    })
+
+    it('checks the password policy', async function () {
+      const err = await catchError(() => createRecovery({ password: 'hello', policy: { minLength: 12 } }))
+
+      ok(err instanceof WeakPasswordError)
+    })
+  })
+
+  describe('Opening a database with the password', function () {
+    it('decrypts values with the password', async function () {
+      const { encryption, backup } = await createRecovery({ password: 'hello' })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const reopened = await RecoverableEncryption({ backup, password: 'hello' })
+
+      deepStrictEqual(await reopened.decrypt(encrypted), encoded)
+    })
+
+    it('can be serialized as JSON', async function () {
+      const { encryption, backup } = await createRecovery({ password: 'hello' })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const reopened = await RecoverableEncryption({ backup: JSON.parse(JSON.stringify(backup)), password: 'hello' })
+
+      deepStrictEqual(await reopened.decrypt(encrypted), encoded)
+    })
+
+    it('throws with a wrong password', async function () {
+      const { backup } = await createRecovery({ password: 'hello' })
+
+      const err = await catchError(() => RecoverableEncryption({ backup, password: 'wrong' }))
+
+      ok(err instanceof AuthenticationFailedError)
+    })
+
+    it('throws with an unsupported backup', async function () {
+      const { backup } = await createRecovery({ password: 'hello' })
+
+      const err = await catchError(() => RecoverableEncryption({ backup: { ...backup, version: 2 }, password: 'hello' }))
+
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Unsupported recovery backup')
+    })
+
+    it('doesn\'t accept encrypted keys of another backup', async function () {
+      const { backup: backup1 } = await createRecovery({ password: 'hello' })
+      const { backup: backup2 } = await createRecovery({ password: 'hello' })
+
+      const err = await catchError(() => RecoverableEncryption({ backup: { ...backup1, password: backup2.password }, password: 'hello' }))
+
+      ok(err instanceof AuthenticationFailedError)
+    })
+  })
+
+  describe('Recovering with the phrase', function () {
+    it('recovers the data key with the phrase', async function () {
+      const { encryption, backup, phrase } = await createRecovery({ password: 'hello' })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const recovered = await recoverWithPhrase(phrase, { backup })
+
+      deepStrictEqual(await recovered.encryption.decrypt(encrypted), encoded)
+      deepStrictEqual(recovered.backup, backup)
+    })
+
+    it('sets a new password', async function () {
+      const { encryption, backup, phrase } = await createRecovery({ password: 'forgotten' })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const recovered = await recoverWithPhrase(phrase, { backup, password: 'new password' })
+      const reopened = await RecoverableEncryption({ backup: recovered.backup, password: 'new password' })
+
+      deepStrictEqual(await reopened.decrypt(encrypted), encoded)
+
+      const err = await catchError(() => RecoverableEncryption({ backup: recovered.backup, password: 'forgotten' }))
+      ok(err instanceof AuthenticationFailedError)
+    })
+
+    it('keeps the phrase working after the password is changed', async function () {
+      const { encryption, backup, phrase } = await createRecovery({ password: 'forgotten' })
+      const encrypted = await encryption.encrypt(encoded)
+
+      const { backup: updated } = await recoverWithPhrase(phrase, { backup, password: 'new password' })
+      const recovered = await recoverWithPhrase(phrase, { backup: updated })
+
+      deepStrictEqual(await recovered.encryption.decrypt(encrypted), encoded)
+    })
+
+    it('accepts phrases with different case and whitespace', async function () {
+      const { backup, phrase } = await createRecovery({ password: 'hello', words: 24 })
+
+      const { encryption } = await recoverWithPhrase(`  ${phrase.toUpperCase().split(' ').join('\n ')} `, { backup })
+
+      ok(encryption)
+    })
+
+    it('checks the policy of the new password', async function () {
+      const { backup, phrase } = await createRecovery({ password: 'hello' })
+
+      const err = await catchError(() => recoverWithPhrase(phrase, { backup, password: 'short', policy: { minLength: 12 } }))
+
+      ok(err instanceof WeakPasswordError)
+    })
+
+    it('throws with an invalid phrase', async function () {
+      const { backup, phrase } = await createRecovery({ password: 'hello' })
+      // Valid words with a wrong checksum
+      const invalid = 'abandon '.repeat(12).trim()
+
+      for (const wrong of [invalid, 'not a recovery phrase', phrase.split(' ').slice(1).join(' ')]) {
+        const err = await catchError(() => recoverWithPhrase(wrong, { backup }))
+
+        ok(err instanceof InvalidInputError)
+        strictEqual(err.message, 'Invalid recovery phrase')
+      }
+    })
+
+    it('throws with the phrase of another backup', async function () {
+      const { backup } = await createRecovery({ password: 'hello' })
+      const { phrase } = await createRecovery({ password: 'hello' })
+
+      const err = await catchError(() => recoverWithPhrase(phrase, { backup }))
+
+      ok(err instanceof AuthenticationFailedError)
+    })
+  })
+})
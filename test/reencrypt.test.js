@@ -0,0 +1,194 @@
+import { strictEqual, deepStrictEqual, notEqual, ok } from 'assert'
+import { Events } from '@orbitdb/core'
+import startOrbitDB from './utils/start-orbitdb.js'
+import createEncryption from './utils/create-encryption.js'
+
+import { reencryptDatabase, rotatePassword, encryptionMeta, verifyPassword, AuthenticationFailedError, UnsupportedFormatError } from '../src/index.js'
+
+const dbPath = './orbitdb/tests/reencrypt'
+
+describe('Re-encrypting a database', function () {
+  this.timeout(10000)
+
+  let orbitdb
+  let stop
+  let db
+
+  before(async () => {
+    ({ orbitdb, stop } = await startOrbitDB(dbPath))
+  })
+
+  after(async () => {
+    await stop?.()
+  })
+
+  afterEach(async () => {
+    await db?.drop()
+    await db?.close()
+    db = null
+  })
+
+  it('copies all events into a database encrypted with the new encryption', async () => {
+    const from = await createEncryption('hello')
+    const to = await createEncryption('world')
+
+    const source = await orbitdb.open('reencrypt-events', { encryption: from })
+    await source.add('record 1')
+    await source.add('record 2')
+    const address = source.address
+    await source.close()
+
+    const progress = []
+    db = await reencryptDatabase(orbitdb, address, { from, to, onProgress: (p) => progress.push(p) })
+
+    notEqual(db.address, address)
+    strictEqual(db.name, 'reencrypt-events')
+    strictEqual(db.meta.reencryptedFrom, address)
+    deepStrictEqual(progress, [{ copied: 1, total: 2 }, { copied: 2, total: 2 }])
+
+    const all = await db.all()
+    strictEqual(all.length, 2)
+    strictEqual(all[0].value, 'record 1')
+    strictEqual(all[1].value, 'record 2')
+  })
+
+  it('copies all keys of a keyvalue database', async () => {
+    const from = await createEncryption('hello')
+    const to = await createEncryption('world')
+
+    const source = await orbitdb.open('reencrypt-keyvalue', { type: 'keyvalue', encryption: from })
+    await source.put('key1', 'value1')
+    await source.put('key2', 'value2')
+    await source.put('key1', 'value3')
+    await source.del('key2')
+    const address = source.address
+    await source.close()
+
+    db = await reencryptDatabase(orbitdb, address, { from, to })
+
+    strictEqual(db.type, 'keyvalue')
+    strictEqual(await db.get('key1'), 'value3')
+    strictEqual(await db.get('key2'), undefined)
+  })
+
+  it('throws an error if the new database isn\'t encrypted', async () => {
+    const from = await createEncryption('hello')
+    const to = await createEncryption('world')
+
+    // OrbitDB 3.0.2 doesn't pass the encryption on to documents databases
+    const source = await orbitdb.open('reencrypt-documents', { type: 'documents', encryption: from })
+    await source.put({ _id: 'doc1', text: 'hello' })
+    const address = source.address
+    await source.close()
+
+    let err
+    try {
+      await reencryptDatabase(orbitdb, address, { from, to })
+    } catch (e) {
+      err = e
+    }
+
+    ok(err instanceof UnsupportedFormatError)
+    strictEqual(err.message, 'The documents database was not encrypted, this version of OrbitDB does not support encrypting documents databases')
+
+    db = await orbitdb.open(address, { encryption: from })
+  })
+
+  it('changes the password of a database', async () => {
+    const source = await orbitdb.open('reencrypt-password', { encryption: await createEncryption('hello') })
+    await source.add('record 1')
+    const address = source.address
+    await source.close()
+
+    db = await rotatePassword(orbitdb, address, { from: 'hello', to: 'world' })
+    const newAddress = db.address
+    await db.close()
+
+    db = await orbitdb.open(newAddress, { encryption: await createEncryption('world') })
+
+    const all = await db.all()
+    strictEqual(all.length, 1)
+    strictEqual(all[0].value, 'record 1')
+  })
+
+  it('changes the password of a database more than once', async () => {
+    const source = await orbitdb.open('reencrypt-password-twice', { encryption: await createEncryption('hello') })
+    await source.add('record 1')
+    const address = source.address
+    await source.close()
+
+    const first = await rotatePassword(orbitdb, address, { from: 'hello', to: 'world' })
+    const firstAddress = first.address
+    await first.close()
+
+    db = await rotatePassword(orbitdb, address, { from: 'hello', to: 'world' })
+
+    notEqual(db.address, firstAddress)
+    const all = await db.all()
+    strictEqual(all.length, 1)
+    strictEqual(all[0].value, 'record 1')
+
+    const reopened = await orbitdb.open(firstAddress, { encryption: await createEncryption('world') })
+    await reopened.drop()
+    await reopened.close()
+  })
+
+  it('throws an error if the new database doesn\'t match the original one', async () => {
+    const from = await createEncryption('hello')
+    const source = await orbitdb.open('reencrypt-mismatch', { encryption: from })
+    await source.add('record 1')
+    await source.add('record 2')
+    const address = source.address
+    await source.close()
+
+    // An events database that loses an entry
+    const Database = async (params) => {
+      const events = await Events()(params)
+      return { ...events, add: async (value) => value === 'record 2' ? undefined : events.add(value) }
+    }
+
+    let err
+    try {
+      await reencryptDatabase(orbitdb, address, { from, to: await createEncryption('world'), open: { Database } })
+    } catch (e) {
+      err = e
+    }
+
+    ok(err instanceof UnsupportedFormatError)
+    strictEqual(err.message, 'Re-encrypted database does not match the original database')
+
+    db = await orbitdb.open(address, { encryption: from })
+  })
+
+  it('replaces the check values with ones of the new password', async () => {
+    const encryption = await createEncryption('hello')
+    const source = await orbitdb.open('reencrypt-check', { encryption, meta: await encryptionMeta(encryption) })
+    await source.add('record 1')
+    const address = source.address
+    await source.close()
+
+    db = await rotatePassword(orbitdb, address, { from: 'hello', to: 'world' })
+
+    strictEqual(await verifyPassword(db, await createEncryption('world')), true)
+    strictEqual(await verifyPassword(db, await createEncryption('hello')), false)
+  })
+
+  it('throws an error if the database can\'t be decrypted', async () => {
+    const source = await orbitdb.open('reencrypt-wrong-password', { encryption: await createEncryption('hello') })
+    await source.add('record 1')
+    const address = source.address
+    await source.close()
+
+    let err
+    try {
+      await rotatePassword(orbitdb, address, { from: 'olleh', to: 'world' })
+    } catch (e) {
+      err = e
+    }
+
+    ok(err instanceof AuthenticationFailedError)
+    strictEqual(err.message, 'Could not decrypt the database with the given encryption')
+
+    db = await orbitdb.open(address, { encryption: await createEncryption('hello') })
+  })
+})
@@ -0,0 +1,206 @@
+import { strictEqual, deepStrictEqual, notDeepStrictEqual, ok } from 'assert'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { concat } from 'uint8arrays/concat'
+import { toString } from 'uint8arrays/to-string'
+import { fromString } from 'uint8arrays/from-string'
+import SimpleEncryption, {
+  splitKey,
+  combineShares,
+  InvalidInputError,
+  AuthenticationFailedError,
+  UnsupportedFormatError
+} from '../src/index.js'
+import catchError from './utils/catch-error.js'
+
+describe('Secret Sharing', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  // Every combination of k items of the array
+  const combinations = (items, k) => k === 0
+    ? [[]]
+    : items.flatMap((item, i) => combinations(items.slice(i + 1), k - 1).map(rest => [item, ...rest]))
+
+  // Changes the share's bytes and fixes its checksum
+  const tamper = (share, fn) => {
+    const bytes = fromString(share, 'base64url')
+    const body = bytes.slice(0, -4)
+    fn(body)
+    return toString(concat([body, sha256(body).subarray(0, 4)]), 'base64url')
+  }
+
+  let key
+
+  beforeEach(function () {
+    key = crypto.getRandomValues(new Uint8Array(32))
+  })
+
+  describe('Splitting and combining keys', function () {
+    it('restores the key from any 3 of 5 shares', async function () {
+      const shares = await splitKey(key, { shares: 5, threshold: 3 })
+
+      strictEqual(shares.length, 5)
+      for (const combination of combinations(shares, 3)) {
+        deepStrictEqual((await combineShares(combination)).key, key)
+      }
+    })
+
+    it('restores the key from more shares than needed', async function () {
+      const shares = await splitKey(key, { shares: 5, threshold: 3 })
+
+      deepStrictEqual((await combineShares(shares)).key, key)
+    })
+
+    it('restores 128-bit keys', async function () {
+      const key = crypto.getRandomValues(new Uint8Array(16))
+      const shares = await splitKey(key, { shares: 3, threshold: 2 })
+
+      deepStrictEqual((await combineShares(shares.slice(1))).key, key)
+    })
+
+    it('restores the key from the maximum number of shares', async function () {
+      const shares = await splitKey(key, { shares: 255, threshold: 255 })
+
+      deepStrictEqual((await combineShares(shares.reverse())).key, key)
+    })
+
+    it('creates different shares every time', async function () {
+      const shares1 = await splitKey(key, { shares: 3, threshold: 2 })
+      const shares2 = await splitKey(key, { shares: 3, threshold: 2 })
+
+      notDeepStrictEqual(shares1, shares2)
+    })
+
+    it('records the key id in the shares', async function () {
+      const shares = await splitKey(key, { shares: 3, threshold: 2, keyId: 'team' })
+
+      deepStrictEqual(await combineShares(shares.slice(0, 2)), { key, keyId: 'team' })
+    })
+
+    it('splits an extractable CryptoKey', async function () {
+      const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+      const shares = await splitKey(cryptoKey, { shares: 3, threshold: 2 })
+
+      deepStrictEqual((await combineShares(shares.slice(0, 2))).key, key)
+    })
+
+    it('restores an encryption with SimpleEncryption', async function () {
+      const encryption = await SimpleEncryption({ key, keyId: 'team' })
+      const encrypted = await encryption.encrypt(encoded)
+      const shares = await splitKey(key, { shares: 5, threshold: 3, keyId: 'team' })
+
+      const restored = await SimpleEncryption(await combineShares([shares[4], shares[0], shares[2]]))
+
+      strictEqual(restored.keyId, 'team')
+      deepStrictEqual(await restored.decrypt(encrypted), encoded)
+    })
+  })
+
+  describe('Detecting bad shares', function () {
+    it('throws with fewer shares than the threshold', async function () {
+      const shares = await splitKey(key, { shares: 5, threshold: 3 })
+
+      const err = await catchError(() => combineShares(shares.slice(0, 2)))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'At least 3 different shares are needed')
+    })
+
+    it('doesn\'t count copies of the same share', async function () {
+      const shares = await splitKey(key, { shares: 5, threshold: 3 })
+
+      const err = await catchError(() => combineShares([shares[0], shares[1], shares[1]]))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'At least 3 different shares are needed')
+    })
+
+    it('throws with a corrupted share', async function () {
+      const shares = await splitKey(key, { shares: 3, threshold: 2 })
+      const corrupted = shares[1].slice(0, 20) + (shares[1][20] === 'A' ? 'B' : 'A') + shares[1].slice(21)
+
+      for (const share of [corrupted, shares[1].slice(0, -1), 'not a share', '']) {
+        const err = await catchError(() => combineShares([shares[0], share]))
+
+        ok(err instanceof InvalidInputError)
+        strictEqual(err.message, 'Share 2 is invalid')
+      }
+    })
+
+    it('throws with shares of different keys', async function () {
+      const shares1 = await splitKey(key, { shares: 3, threshold: 2 })
+      const shares2 = await splitKey(crypto.getRandomValues(new Uint8Array(32)), { shares: 3, threshold: 2 })
+
+      const err = await catchError(() => combineShares([shares1[0], shares2[1]]))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Shares belong to different keys')
+    })
+
+    it('throws with shares of different key ids', async function () {
+      const shares1 = await splitKey(key, { shares: 3, threshold: 2, keyId: 'old' })
+      const shares2 = await splitKey(key, { shares: 3, threshold: 2, keyId: 'new' })
+
+      const err = await catchError(() => combineShares([shares1[0], shares2[1]]))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'Shares belong to different keys')
+    })
+
+    it('throws if a share with a valid checksum restores a wrong key', async function () {
+      const shares = await splitKey(key, { shares: 3, threshold: 2 })
+      // Changes the last value of the share
+      const tampered = tamper(shares[1], body => { body[body.length - 1] ^= 1 })
+
+      const err = await catchError(() => combineShares([shares[0], tampered]))
+
+      ok(err instanceof AuthenticationFailedError)
+      strictEqual(err.message, 'Shares don\'t restore the key, at least one of them is wrong')
+    })
+
+    it('throws with a share of an unsupported version', async function () {
+      const shares = await splitKey(key, { shares: 3, threshold: 2 })
+      const share = tamper(shares[0], body => { body[2] = 2 })
+
+      const err = await catchError(() => combineShares([share, shares[1]]))
+
+      ok(err instanceof UnsupportedFormatError)
+      strictEqual(err.message, 'Share 1 has an unsupported version')
+    })
+  })
+
+  describe('Options', function () {
+    it('rejects an invalid number of shares', async function () {
+      for (const shares of [1, 256, 2.5, undefined]) {
+        const err = await catchError(() => splitKey(key, { shares, threshold: 2 }))
+
+        ok(err instanceof InvalidInputError)
+        strictEqual(err.message, 'shares must be an integer between 2 and 255')
+      }
+    })
+
+    it('rejects an invalid threshold', async function () {
+      for (const threshold of [1, 6, undefined]) {
+        const err = await catchError(() => splitKey(key, { shares: 5, threshold }))
+
+        ok(err instanceof InvalidInputError)
+        strictEqual(err.message, 'threshold must be an integer between 2 and shares')
+      }
+    })
+
+    it('rejects keys of an invalid length', async function () {
+      const err = await catchError(() => splitKey(new Uint8Array(20), { shares: 3, threshold: 2 }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'key must be 16 or 32 bytes long')
+    })
+
+    it('rejects non-extractable CryptoKeys', async function () {
+      const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+
+      const err = await catchError(() => splitKey(cryptoKey, { shares: 3, threshold: 2 }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'key must be extractable to be split')
+    })
+  })
+})
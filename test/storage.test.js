@@ -0,0 +1,251 @@
+import { strictEqual, deepStrictEqual } from 'assert'
+import { rimraf } from 'rimraf'
+import path from 'path'
+import { createOrbitDB, MemoryStorage, LevelStorage, LRUStorage, ComposedStorage, KeyValueIndexed } from '@orbitdb/core'
+import createHelia from './utils/create-helia.js'
+
+import SimpleEncryption, { EncryptedStorage, DeterministicEncryption, AuthenticationFailedError, InvalidInputError } from '../src/index.js'
+import { hasHeader } from '../src/format.js'
+
+const dbPath = './orbitdb/tests/storage'
+
+describe('Encrypted Storage', function () {
+  this.timeout(10000)
+
+  const collect = async (source) => {
+    const values = []
+    for await (const value of source) {
+      values.push(value)
+    }
+    return values
+  }
+
+  let encryption
+
+  before(async () => {
+    encryption = await SimpleEncryption({ password: 'hello' })
+  })
+
+  describe('Storing values', function () {
+    let memory
+    let storage
+
+    beforeEach(async () => {
+      memory = await MemoryStorage()
+      storage = await EncryptedStorage({ storage: memory, encryption })
+    })
+
+    it('encrypts values at rest', async () => {
+      const value = new TextEncoder().encode('some text')
+      await storage.put('key1', value)
+
+      strictEqual(hasHeader(await memory.get('key1')), true)
+      deepStrictEqual(await storage.get('key1'), value)
+    })
+
+    it('keeps the type of values', async () => {
+      await storage.put('key1', true)
+      await storage.put('key2', { hash: 'zdpu', value: [1, 'two'] })
+
+      strictEqual(await storage.get('key1'), true)
+      deepStrictEqual(await storage.get('key2'), { hash: 'zdpu', value: [1, 'two'] })
+    })
+
+    it('returns undefined for missing keys', async () => {
+      strictEqual(await storage.get('key1'), undefined)
+    })
+
+    it('iterates over decrypted values', async () => {
+      await storage.put('key1', 'value 1')
+      await storage.put('key2', 'value 2')
+
+      deepStrictEqual(await collect(storage.iterator()), [['key1', 'value 1'], ['key2', 'value 2']])
+    })
+
+    it('deletes and clears values', async () => {
+      await storage.put('key1', 'value 1')
+      await storage.put('key2', 'value 2')
+
+      await storage.del('key1')
+      strictEqual(await storage.get('key1'), undefined)
+      strictEqual(await storage.get('key2'), 'value 2')
+
+      await storage.clear()
+      deepStrictEqual(await collect(memory.iterator()), [])
+    })
+
+    it('merges the values of another storage', async () => {
+      const other = await MemoryStorage()
+      await other.put('key1', 'value 1')
+
+      await storage.merge(other)
+
+      strictEqual(hasHeader(await memory.get('key1')), true)
+      strictEqual(await storage.get('key1'), 'value 1')
+    })
+
+    it('fails to get a value swapped for another one', async () => {
+      await storage.put('key1', 'value 1')
+      await storage.put('key2', 'value 2')
+      await memory.put('key1', await memory.get('key2'))
+
+      let err
+      try {
+        await storage.get('key1')
+      } catch (e) {
+        err = e
+      }
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('requires a storage and an encryption', async () => {
+      let err
+      try {
+        await EncryptedStorage({ encryption })
+      } catch (e) {
+        err = e
+      }
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'EncryptedStorage requires a storage')
+    })
+  })
+
+  describe('Encrypting keys', function () {
+    let keyEncryption
+    let memory
+    let storage
+
+    before(async () => {
+      keyEncryption = await DeterministicEncryption({ key: crypto.getRandomValues(new Uint8Array(32)) })
+    })
+
+    beforeEach(async () => {
+      memory = await MemoryStorage()
+      storage = await EncryptedStorage({ storage: memory, encryption, keyEncryption })
+    })
+
+    it('encrypts keys deterministically', async () => {
+      await storage.put('key1', 'value 1')
+
+      const [[key]] = await collect(memory.iterator())
+      strictEqual(key, await keyEncryption.encryptString('key1'))
+      strictEqual(await memory.get('key1'), undefined)
+      strictEqual(await storage.get('key1'), 'value 1')
+    })
+
+    it('iterates over decrypted keys', async () => {
+      await storage.put('key1', 'value 1')
+      await storage.put('key2', 'value 2')
+
+      const entries = await collect(storage.iterator())
+      deepStrictEqual(entries.sort(([a], [b]) => a.localeCompare(b)), [['key1', 'value 1'], ['key2', 'value 2']])
+    })
+
+    it('deletes values by key', async () => {
+      await storage.put('key1', 'value 1')
+      await storage.del('key1')
+
+      strictEqual(await storage.get('key1'), undefined)
+      deepStrictEqual(await collect(memory.iterator()), [])
+    })
+
+    it('requires a deterministic key encryption', async () => {
+      let err
+      try {
+        await EncryptedStorage({ storage: memory, encryption, keyEncryption: encryption })
+      } catch (e) {
+        err = e
+      }
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'keyEncryption must be a deterministic encryption, eg. DeterministicEncryption')
+    })
+  })
+
+  describe('Using the storage with OrbitDB', function () {
+    let ipfs
+    let orbitdb
+
+    const directory = path.join(dbPath, 'storages')
+
+    const createStorages = async (keyEncryption) => {
+      const heads = await LevelStorage({ path: path.join(directory, 'heads') })
+      const index = await LevelStorage({ path: path.join(directory, 'index') })
+      return {
+        heads,
+        index,
+        options: {
+          headsStorage: await ComposedStorage(await LRUStorage(), await EncryptedStorage({ storage: heads, encryption, keyEncryption })),
+          indexStorage: await ComposedStorage(await LRUStorage(), await EncryptedStorage({ storage: index, encryption, keyEncryption }))
+        }
+      }
+    }
+
+    before(async () => {
+      await rimraf('./orbitdb')
+
+      ipfs = await createHelia()
+      orbitdb = await createOrbitDB({ ipfs, id: 'user1', directory: path.join(dbPath, '1') })
+    })
+
+    after(async () => {
+      if (orbitdb) {
+        await orbitdb.stop()
+      }
+
+      if (ipfs) {
+        await ipfs.stop()
+      }
+
+      await rimraf('./orbitdb')
+    })
+
+    it('stores heads and index encrypted', async () => {
+      const storages = await createStorages()
+      const db = await orbitdb.open('encrypted-storage', storages.options)
+      await db.add('record 1')
+      await db.add('record 2')
+
+      for (const storage of [storages.heads, storages.index]) {
+        const values = await collect(storage.iterator())
+        strictEqual(values.length > 0, true)
+        strictEqual(values.every(([, value]) => hasHeader(value)), true)
+      }
+
+      await db.close()
+
+      const reopened = await createStorages()
+      const db2 = await orbitdb.open(db.address, reopened.options)
+
+      deepStrictEqual((await db2.all()).map(({ value }) => value), ['record 1', 'record 2'])
+
+      await db2.drop()
+      await db2.close()
+    })
+
+    it('encrypts the keys of an indexed keyvalue database', async () => {
+      const keyEncryption = await DeterministicEncryption({ password: 'hello', salt: 'encrypted-keyvalue' })
+      const storages = await createStorages(keyEncryption)
+      const db = await orbitdb.open('encrypted-keyvalue', { ...storages.options, Database: KeyValueIndexed() })
+      const hash = await db.put('key1', 'value 1')
+      await db.put('key2', 'value 2')
+
+      for (const storage of [storages.heads, storages.index]) {
+        const keys = (await collect(storage.iterator())).map(([key]) => key)
+        strictEqual(keys.length > 0, true)
+        strictEqual(keys.includes(hash), false)
+        strictEqual(keys.includes('heads'), false)
+      }
+
+      await db.close()
+
+      const reopened = await createStorages(keyEncryption)
+      const db2 = await orbitdb.open(db.address, { ...reopened.options, Database: KeyValueIndexed() })
+
+      strictEqual(await db2.get('key1'), 'value 1')
+      strictEqual(await db2.get('key2'), 'value 2')
+
+      await db2.drop()
+      await db2.close()
+    })
+  })
+})
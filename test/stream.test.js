@@ -0,0 +1,209 @@
+import { strictEqual, deepStrictEqual, notEqual } from 'assert'
+import { concat } from 'uint8arrays/concat'
+import SimpleEncryption, { Keyring, encryptStream, decryptStream, InvalidInputError, AuthenticationFailedError, UnsupportedFormatError, TruncatedCiphertextError } from '../src/index.js'
+import catchError from './utils/catch-error.js'
+
+describe('Streams', function () {
+  this.timeout(10000)
+
+  const data = crypto.getRandomValues(new Uint8Array(10000))
+
+  const readAll = async (stream) => {
+    const chunks = []
+    for await (const chunk of stream) {
+      chunks.push(chunk)
+    }
+    return concat(chunks)
+  }
+
+  const toStream = (bytes, size) => new ReadableStream({
+    start (controller) {
+      for (let i = 0; i < bytes.length; i += size) {
+        controller.enqueue(bytes.subarray(i, i + size))
+      }
+      controller.close()
+    }
+  })
+
+  // Splits the encrypted stream into its preamble and chunks
+  const split = (encrypted) => {
+    const chunks = []
+    let offset = 24
+    while (offset < encrypted.length) {
+      const length = new DataView(encrypted.buffer, encrypted.byteOffset + offset + 1, 4).getUint32(0)
+      chunks.push(encrypted.subarray(offset, offset + 5 + length))
+      offset += 5 + length
+    }
+    return { preamble: encrypted.subarray(0, 24), chunks }
+  }
+
+  let encryption
+
+  before(async function () {
+    encryption = await SimpleEncryption({ password: 'hello' })
+  })
+
+  describe('Encrypting and decrypting streams', function () {
+    it('encrypts and decrypts a ReadableStream', async function () {
+      const encrypted = encryptStream(encryption, toStream(data, 1000), { chunkSize: 4096 })
+      const decrypted = await readAll(decryptStream(encryption, encrypted))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('encrypts and decrypts an async iterable', async function () {
+      const source = async function * () {
+        for (let i = 0; i < data.length; i += 333) {
+          yield data.subarray(i, i + 333)
+        }
+      }
+
+      const encrypted = await readAll(encryptStream(encryption, source(), { chunkSize: 4096 }))
+      const decrypted = await readAll(decryptStream(encryption, [encrypted]))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('encrypts and decrypts a TypedArray', async function () {
+      const encrypted = await readAll(encryptStream(encryption, data))
+      const decrypted = await readAll(decryptStream(encryption, encrypted))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('reads encrypted streams split at any byte', async function () {
+      const encrypted = await readAll(encryptStream(encryption, data, { chunkSize: 4096 }))
+      const decrypted = await readAll(decryptStream(encryption, toStream(encrypted, 7)))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('encrypts an empty stream', async function () {
+      const encrypted = await readAll(encryptStream(encryption, []))
+      const decrypted = await readAll(decryptStream(encryption, encrypted))
+
+      strictEqual(split(encrypted).chunks.length, 1)
+      deepStrictEqual(decrypted, new Uint8Array(0))
+    })
+
+    it('splits the data into chunks', async function () {
+      const encrypted = await readAll(encryptStream(encryption, data, { chunkSize: 4096 }))
+      const { chunks } = split(encrypted)
+
+      strictEqual(chunks.length, 3)
+      deepStrictEqual(chunks.map(chunk => chunk[0]), [0, 0, 1])
+    })
+
+    it('decrypts a stream with another instance using the same password', async function () {
+      const encrypted = await readAll(encryptStream(encryption, data))
+      const decrypted = await readAll(decryptStream(await SimpleEncryption({ password: 'hello' }), encrypted))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('encrypts and decrypts streams with a keyring', async function () {
+      const keyring = await Keyring({ keys: [{ id: 'files', key: crypto.getRandomValues(new Uint8Array(32)) }] })
+      const encrypted = await readAll(encryptStream(keyring, data, { chunkSize: 4096 }))
+      const decrypted = await readAll(decryptStream(keyring, encrypted))
+
+      deepStrictEqual(decrypted, data)
+    })
+
+    it('binds a stream to associated data', async function () {
+      const encrypted = await readAll(encryptStream(encryption, data, { associatedData: 'file-1' }))
+
+      deepStrictEqual(await readAll(decryptStream(encryption, encrypted, { associatedData: 'file-1' })), data)
+
+      const err = await catchError(() => readAll(decryptStream(encryption, encrypted, { associatedData: 'file-2' })))
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+  })
+
+  describe('Tampered streams', function () {
+    let encrypted
+
+    before(async function () {
+      encrypted = await readAll(encryptStream(encryption, data, { chunkSize: 4096 }))
+    })
+
+    it('fails to decrypt a stream without its final chunk', async function () {
+      const { preamble, chunks } = split(encrypted)
+      const err = await catchError(() => readAll(decryptStream(encryption, concat([preamble, ...chunks.slice(0, 2)]))))
+
+      strictEqual(err instanceof TruncatedCiphertextError, true)
+      strictEqual(err.message, 'Stream is truncated')
+    })
+
+    it('fails to decrypt a stream cut off in a chunk', async function () {
+      const err = await catchError(() => readAll(decryptStream(encryption, encrypted.subarray(0, encrypted.length - 10))))
+
+      strictEqual(err instanceof TruncatedCiphertextError, true)
+    })
+
+    it('fails to decrypt a stream with a chunk falsely marked as final', async function () {
+      const { preamble, chunks } = split(encrypted)
+      const chunk = chunks[1].slice()
+      chunk[0] = 1
+      const err = await catchError(() => readAll(decryptStream(encryption, concat([preamble, chunks[0], chunk]))))
+
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt a stream with reordered chunks', async function () {
+      const { preamble, chunks } = split(encrypted)
+      const err = await catchError(() => readAll(decryptStream(encryption, concat([preamble, chunks[1], chunks[0], chunks[2]]))))
+
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt a chunk of another stream', async function () {
+      const other = await readAll(encryptStream(encryption, data, { chunkSize: 4096 }))
+      const { preamble, chunks } = split(encrypted)
+      const err = await catchError(() => readAll(decryptStream(encryption, concat([preamble, chunks[0], split(other).chunks[1], chunks[2]]))))
+
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+
+    it('fails to decrypt a stream with data after its final chunk', async function () {
+      const err = await catchError(() => readAll(decryptStream(encryption, concat([encrypted, new Uint8Array(1)]))))
+
+      strictEqual(err instanceof UnsupportedFormatError, true)
+      strictEqual(err.message, 'Stream has data after its final chunk')
+    })
+
+    it('fails to decrypt data that is not an encrypted stream', async function () {
+      const err = await catchError(async () => readAll(decryptStream(encryption, await encryption.encrypt(data))))
+
+      strictEqual(err instanceof UnsupportedFormatError, true)
+      strictEqual(err.message, 'Data is not an encrypted stream')
+    })
+
+    it('fails to decrypt a stream with the wrong password', async function () {
+      const err = await catchError(async () => readAll(decryptStream(await SimpleEncryption({ password: 'world' }), encrypted)))
+
+      strictEqual(err instanceof AuthenticationFailedError, true)
+    })
+  })
+
+  describe('Invalid input', function () {
+    it('requires a valid chunk size', async function () {
+      const err = await catchError(() => encryptStream(encryption, data, { chunkSize: 0 }))
+
+      notEqual(err, undefined)
+      strictEqual(err instanceof InvalidInputError, true)
+    })
+
+    it('requires chunks to be TypedArrays', async function () {
+      const err = await catchError(() => readAll(encryptStream(encryption, ['some text'])))
+
+      strictEqual(err instanceof InvalidInputError, true)
+      strictEqual(err.message, 'Stream chunks must be TypedArrays')
+    })
+
+    it('requires a stream or an iterable', async function () {
+      const err = await catchError(() => readAll(encryptStream(encryption, 42)))
+
+      strictEqual(err instanceof InvalidInputError, true)
+    })
+  })
+})
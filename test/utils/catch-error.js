@@ -0,0 +1,10 @@
+// Returns the error the function throws, or undefined if it doesn't throw
+const catchError = async (fn) => {
+  try {
+    await fn()
+  } catch (e) {
+    return e
+  }
+}
+
+export default catchError
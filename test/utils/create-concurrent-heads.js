@@ -0,0 +1,18 @@
+import { Log } from '@orbitdb/core'
+
+// Creates an events database with two heads, as if another writer had
+// written concurrently, and returns its address, the database is closed
+const createConcurrentHeads = async (orbitdb, name, encryption, options = {}) => {
+  const db = await orbitdb.open(name, { ...options, encryption })
+  await db.add('record 1')
+
+  const other = await Log(orbitdb.identity, { logId: db.log.id, entryStorage: db.log.storage, encryption })
+  await other.append({ op: 'ADD', key: null, value: 'record 2' })
+  await db.log.join(other)
+
+  const address = db.address
+  await db.close()
+  return address
+}
+
+export default createConcurrentHeads
@@ -0,0 +1,13 @@
+// Creates an events database with the records and returns its address, the
+// database is closed
+const createDatabase = async (orbitdb, name, options, records = ['record 1', 'record 2']) => {
+  const db = await orbitdb.open(name, options)
+  for (const record of records) {
+    await db.add(record)
+  }
+  const address = db.address
+  await db.close()
+  return address
+}
+
+export default createDatabase
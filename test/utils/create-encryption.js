@@ -0,0 +1,9 @@
+import SimpleEncryption from '../../src/index.js'
+
+// Encrypts both the payloads and the entries with the password
+const createEncryption = async (password) => ({
+  data: await SimpleEncryption({ password }),
+  replication: await SimpleEncryption({ password })
+})
+
+export default createEncryption
@@ -59,12 +59,12 @@ const Libp2pBrowserOptions = {
   }
 }
 
-export default async ({ directory } = {}) => {
+export default async ({ directory, blockstore } = {}) => {
   const options = isBrowser() ? Libp2pBrowserOptions : Libp2pOptions
 
   const libp2p = await createLibp2p({ ...options })
 
-  const blockstore = directory ? new LevelBlockstore(`${directory}/blocks`) : new MemoryBlockstore()
+  blockstore = blockstore ?? (directory ? new LevelBlockstore(`${directory}/blocks`) : new MemoryBlockstore())
 
   const heliaOptions = {
     blockstore,
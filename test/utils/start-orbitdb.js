@@ -0,0 +1,24 @@
+import { rimraf } from 'rimraf'
+import path from 'path'
+import { createOrbitDB } from '@orbitdb/core'
+import createHelia from './create-helia.js'
+
+// Starts an IPFS node and an OrbitDB instance in an empty ./orbitdb. `stop`
+// stops both and removes ./orbitdb again.
+const startOrbitDB = async (dbPath) => {
+  const ipfs = await createHelia()
+
+  await rimraf('./orbitdb')
+
+  const orbitdb = await createOrbitDB({ ipfs, id: 'user1', directory: path.join(dbPath, '1') })
+
+  const stop = async () => {
+    await orbitdb.stop()
+    await ipfs.stop()
+    await rimraf('./orbitdb')
+  }
+
+  return { orbitdb, stop }
+}
+
+export default startOrbitDB
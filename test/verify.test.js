@@ -0,0 +1,147 @@
+import { strictEqual, notEqual } from 'assert'
+import path from 'path'
+import { LevelStorage } from '@orbitdb/core'
+import startOrbitDB from './utils/start-orbitdb.js'
+import createEncryption from './utils/create-encryption.js'
+import createDatabase from './utils/create-database.js'
+import createConcurrentHeads from './utils/create-concurrent-heads.js'
+import catchError from './utils/catch-error.js'
+
+import { encryptionMeta, verifyPassword } from '../src/index.js'
+import { InvalidInputError } from '../src/errors.js'
+
+const dbPath = './orbitdb/tests/verify'
+
+describe('Verifying a password', function () {
+  this.timeout(10000)
+
+  let orbitdb
+  let stop
+  let db
+
+  before(async () => {
+    ({ orbitdb, stop } = await startOrbitDB(dbPath))
+  })
+
+  after(async () => {
+    await stop?.()
+  })
+
+  afterEach(async () => {
+    await db?.drop()
+    await db?.close()
+    db = null
+  })
+
+  describe('Trial-decrypting the log heads', () => {
+    it('verifies the right password', async () => {
+      const address = await createDatabase(orbitdb, 'verify-right', { encryption: await createEncryption('hello') })
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, await createEncryption('hello')), true)
+    })
+
+    it('rejects a wrong password', async () => {
+      const address = await createDatabase(orbitdb, 'verify-wrong', { encryption: await createEncryption('hello') })
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, await createEncryption('olleh')), false)
+    })
+
+    it('rejects a wrong data password', async () => {
+      const address = await createDatabase(orbitdb, 'verify-wrong-data', { encryption: await createEncryption('hello') })
+      db = await orbitdb.open(address)
+
+      const { replication } = await createEncryption('hello')
+      const { data } = await createEncryption('olleh')
+
+      strictEqual(await verifyPassword(db, { data, replication }), false)
+    })
+
+    it('rejects an encryption the database was not encrypted with', async () => {
+      const { data } = await createEncryption('hello')
+      const address = await createDatabase(orbitdb, 'verify-data-only', { encryption: { data } })
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, { data }), true)
+      strictEqual(await verifyPassword(db, await createEncryption('hello')), false)
+      strictEqual(await verifyPassword(db, {}), false)
+    })
+
+    it('rejects any encryption for an unencrypted database', async () => {
+      const address = await createDatabase(orbitdb, 'verify-unencrypted', {})
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, await createEncryption('hello')), false)
+      strictEqual(await verifyPassword(db, {}), true)
+    })
+
+    it('can\'t verify a password for an empty database', async () => {
+      const address = await createDatabase(orbitdb, 'verify-empty', { encryption: await createEncryption('hello') }, [])
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, await createEncryption('hello')), undefined)
+    })
+
+    it('verifies the password of a database with concurrent heads from its heads storage', async () => {
+      const headsPath = path.join(dbPath, 'concurrent-heads')
+      const address = await createConcurrentHeads(orbitdb, 'verify-concurrent-storage', await createEncryption('hello'), {
+        headsStorage: await LevelStorage({ path: headsPath })
+      })
+
+      const headsStorage = await LevelStorage({ path: headsPath })
+      db = await orbitdb.open(address, { headsStorage })
+
+      strictEqual(await verifyPassword(db, await createEncryption('hello'), { headsStorage }), true)
+      strictEqual(await verifyPassword(db, await createEncryption('olleh'), { headsStorage }), false)
+
+      // OrbitDB can't sort heads it can't decrypt
+      const encryption = await createEncryption('hello')
+      const error = await catchError(() => verifyPassword(db, encryption))
+      strictEqual(error instanceof InvalidInputError, true)
+    })
+  })
+
+  describe('Check values', () => {
+    it('verifies the password of an empty database', async () => {
+      const encryption = await createEncryption('hello')
+      const address = await createDatabase(orbitdb, 'verify-check', { encryption, meta: await encryptionMeta(encryption) }, [])
+      db = await orbitdb.open(address)
+
+      strictEqual(await verifyPassword(db, await createEncryption('hello')), true)
+      strictEqual(await verifyPassword(db, await createEncryption('olleh')), false)
+      strictEqual(await verifyPassword(db, { data: encryption.data }), false)
+    })
+  })
+
+  describe('Verifying by address', () => {
+    it('opens and closes the database', async () => {
+      const address = await createDatabase(orbitdb, 'verify-address', { encryption: await createEncryption('hello') })
+
+      strictEqual(await verifyPassword(address, await createEncryption('hello'), { orbitdb }), true)
+      strictEqual(await verifyPassword(address, await createEncryption('olleh'), { orbitdb }), false)
+
+      db = await orbitdb.open(address)
+    })
+
+    it('verifies the password of a database with concurrent heads', async () => {
+      const address = await createConcurrentHeads(orbitdb, 'verify-address-concurrent', await createEncryption('hello'))
+
+      strictEqual(await verifyPassword(address, await createEncryption('hello'), { orbitdb }), true)
+      strictEqual(await verifyPassword(address, await createEncryption('olleh'), { orbitdb }), false)
+
+      db = await orbitdb.open(address)
+    })
+
+    it('needs an OrbitDB instance', async () => {
+      let err
+      try {
+        await verifyPassword('/orbitdb/zdpu', await createEncryption('hello'))
+      } catch (e) {
+        err = e
+      }
+      notEqual(err, undefined)
+      strictEqual(err.message, 'An OrbitDB instance is needed to verify a password by address')
+    })
+  })
+})
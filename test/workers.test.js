@@ -0,0 +1,159 @@
+import { strictEqual, deepStrictEqual, notDeepStrictEqual, ok } from 'assert'
+import SimpleEncryption, { EncryptionError, InvalidInputError, AuthenticationFailedError, WeakPasswordError } from '../src/index.js'
+import { decodeHeader, Compressions } from '../src/format.js'
+import catchError from './utils/catch-error.js'
+
+describe('Workers', function () {
+  const encoded = new TextEncoder().encode('some text')
+
+  let encryption
+
+  afterEach(async function () {
+    await encryption?.close()
+    encryption = undefined
+  })
+
+  it('encrypts and decrypts with a password', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 2 })
+
+    const encrypted = await encryption.encrypt(encoded)
+
+    notDeepStrictEqual(encrypted, encoded)
+    deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+  })
+
+  it('encrypts and decrypts with a key', async function () {
+    const key = crypto.getRandomValues(new Uint8Array(32))
+    encryption = await SimpleEncryption({ key, workers: 2 })
+
+    deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+  })
+
+  it('encrypts and decrypts with a CryptoKey', async function () {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+    encryption = await SimpleEncryption({ key, workers: 1 })
+
+    deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+  })
+
+  it('writes values that are readable without workers', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 2 })
+    const mainThread = await SimpleEncryption({ password: 'hello' })
+
+    deepStrictEqual(await mainThread.decrypt(await encryption.encrypt(encoded)), encoded)
+    deepStrictEqual(await encryption.decrypt(await mainThread.encrypt(encoded)), encoded)
+  })
+
+  it('decrypts many values concurrently', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 3 })
+
+    const values = Array.from({ length: 50 }, (_, i) => new TextEncoder().encode('value ' + i))
+    const encrypted = await Promise.all(values.map(value => encryption.encrypt(value)))
+    const decrypted = await Promise.all(encrypted.map(value => encryption.decrypt(value)))
+
+    deepStrictEqual(decrypted, values)
+  })
+
+  it('passes the options on to the workers', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', keyId: 'worker', compression: { name: 'deflate' }, associatedData: 'db', workers: 1 })
+    const value = new TextEncoder().encode('some text '.repeat(100))
+
+    const encrypted = await encryption.encrypt(value, { associatedData: 'entry' })
+    const header = decodeHeader(encrypted)
+
+    strictEqual(encryption.keyId, 'worker')
+    strictEqual(header.compression, Compressions.DEFLATE)
+    deepStrictEqual(await encryption.decrypt(encrypted, { associatedData: 'entry' }), value)
+  })
+
+  it('reports the interval of the workers', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 1 })
+    const mainThread = await SimpleEncryption({ password: 'hello' })
+
+    strictEqual(encryption.ivInterval, mainThread.ivInterval)
+  })
+
+  it('throws errors of the same class as without workers', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 1 })
+    const wrong = await SimpleEncryption({ password: 'wrong' })
+
+    const encrypted = await wrong.encrypt(encoded)
+
+    const err = await catchError(() => encryption.decrypt(encrypted))
+
+    ok(err instanceof AuthenticationFailedError)
+    strictEqual(err.code, 'ERR_AUTHENTICATION_FAILED')
+  })
+
+  it('throws if the data is not a TypedArray', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 1 })
+
+    const err = await catchError(() => encryption.encrypt('some text'))
+
+    ok(err instanceof InvalidInputError)
+    strictEqual(err.message, 'Data to encrypt must be a TypedArray')
+  })
+
+  it('throws if the workers reject the options', async function () {
+    const err = await catchError(() => SimpleEncryption({ key: new Uint8Array(20), workers: 2 }))
+
+    ok(err instanceof InvalidInputError)
+    strictEqual(err.message, 'key must be 16 or 32 bytes long')
+  })
+
+  it('checks the password policy before starting workers', async function () {
+    const err = await catchError(() => SimpleEncryption({ password: 'password', policy: { minLength: 12 }, workers: 1 }))
+
+    ok(err instanceof WeakPasswordError)
+  })
+
+  it('throws if the number of workers is invalid', async function () {
+    for (const workers of [0, 1.5, 100]) {
+      const err = await catchError(() => SimpleEncryption({ password: 'hello', workers }))
+
+      ok(err instanceof InvalidInputError)
+      strictEqual(err.message, 'workers must be an integer between 1 and 64')
+    }
+  })
+
+  it('replaces a worker that fails', async function () {
+    // Only worker_threads can be reached to kill a worker
+    if (typeof Worker !== 'undefined') {
+      this.skip()
+    }
+
+    const { createRequire, syncBuiltinESMExports } = await import('module')
+    const workerThreads = createRequire(import.meta.url)('worker_threads')
+    const { Worker: NodeWorker } = workerThreads
+    const workers = []
+    workerThreads.Worker = class extends NodeWorker {
+      constructor (...args) {
+        super(...args)
+        workers.push(this)
+      }
+    }
+    syncBuiltinESMExports()
+    try {
+      encryption = await SimpleEncryption({ password: 'hello', workers: 1 })
+    } finally {
+      workerThreads.Worker = NodeWorker
+      syncBuiltinESMExports()
+    }
+
+    const encrypted = await encryption.encrypt(encoded)
+    await workers[0].terminate()
+
+    deepStrictEqual(await encryption.decrypt(encrypted), encoded)
+    deepStrictEqual(await encryption.decrypt(await encryption.encrypt(encoded)), encoded)
+  })
+
+  it('rejects requests after it is closed', async function () {
+    encryption = await SimpleEncryption({ password: 'hello', workers: 1 })
+    await encryption.close()
+
+    const err = await catchError(() => encryption.encrypt(encoded))
+
+    ok(err instanceof EncryptionError)
+    strictEqual(err.message, 'Worker failed')
+  })
+})